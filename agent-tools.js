@@ -0,0 +1,262 @@
+const { memoryManager, timeContextManager } = require('./memory-manager');
+const delayHandler = require('./delay-handler');
+const reminderParser = require('./reminder-parser');
+const userProfiles = require('./user-profiles');
+const { validate, NON_BLANK } = require('./validation');
+const rateLimiter = require('./rate-limiter');
+const { MAX_REMINDER_SECONDS } = require('./api-schemas');
+
+// Tools the voice agent can call mid-conversation, either as ElevenLabs server
+// tools (webhooks) or as client tools relayed by the frontend. Each tool has a
+// JSON schema for its arguments, which is also what gets registered on the agent.
+
+const MAX_WAIT_SECONDS = delayHandler.getMaxDelaySeconds();
+
+// fields, when set, maps each bad argument to what's wrong with it;
+// retryAfterSeconds says when a call refused by a quota can be tried again
+class ToolError extends Error {
+  constructor(message, status = 400, { fields = null, retryAfterSeconds = null } = {}) {
+    super(message);
+    this.name = 'ToolError';
+    this.status = status;
+    this.fields = fields;
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+const tools = {
+  remember_fact: {
+    description: 'Save a durable fact about the user (name, preference, plan) to long-term memory.',
+    parameters: {
+      type: 'object',
+      properties: {
+        fact: { type: 'string', description: 'The fact, in the third person, e.g. "User prefers tea over coffee"' },
+        category: { type: 'string', enum: ['name', 'preference', 'plan', 'other'], description: 'Kind of fact' }
+      },
+      required: ['fact']
+    },
+    handler: async ({ userId, sessionId, memoryNamespace, args }) => {
+      if (!userProfiles.hasConsent(await userProfiles.getProfile(userId), 'memory')) {
+        throw new ToolError('The user has not agreed to long-term memory', 403);
+      }
+      const quota = await rateLimiter.getQuotaUsage('memoryWrites', userId);
+      if (quota.exhausted) {
+        throw new ToolError('The daily limit on saved memories has been reached', 429, { retryAfterSeconds: quota.retryAfterSeconds });
+      }
+      // MemoryUnavailable is answered with a 503 by the tools route
+      const result = await memoryManager.storeConversation(
+        userId,
+        [{ role: 'system', content: args.fact }],
+        {
+          category: 'fact',
+          factType: args.category || 'other',
+          tags: ['fact', args.category || 'other'],
+          source: 'agent_tool',
+          sessionId,
+          memoryNamespace: memoryNamespace || null
+        }
+      );
+      await rateLimiter.consumeQuota('memoryWrites', userId);
+      return { memoryId: result.id, saved: true };
+    }
+  },
+
+  recall_memories: {
+    description: 'Search what you remember about the user.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'What to look for, e.g. "favourite food"' },
+        limit: { type: 'integer', minimum: 1, maximum: 20, description: 'Maximum memories to return (default 5)' }
+      },
+      required: ['query']
+    },
+    handler: async ({ userId, memoryNamespace, timezone, locale, args }) => {
+      const memories = await memoryManager.retrieveRelevantMemories(userId, args.query, { memoryNamespace, timezone, locale });
+      return {
+        memories: memories.slice(0, args.limit || 5).map(memory => ({
+          id: memory.id,
+          text: memory.memory || (memory.messages || []).map(message => message.content).join(' '),
+          timeSince: memory.timeSince
+        }))
+      };
+    }
+  },
+
+  set_reminder: {
+    description: 'Set a reminder for the user. Give either durationInSeconds or a natural-language time in "when" ' +
+      '(e.g. "at 7pm", "tomorrow morning", "every day at 9").',
+    parameters: {
+      type: 'object',
+      properties: {
+        task: { type: 'string', description: 'What to remind the user about' },
+        durationInSeconds: { type: 'integer', minimum: 1, maximum: MAX_REMINDER_SECONDS, description: 'Seconds from now' },
+        when: { type: 'string', description: 'Natural-language time, used when durationInSeconds is not given' },
+        timezone: { type: 'string', description: 'IANA timezone, e.g. "Asia/Kolkata"; defaults to the user\'s own' }
+      },
+      required: ['task']
+    },
+    handler: async ({ userId, sessionId, timezone, args }) => {
+      if (args.durationInSeconds) {
+        const reminder = await timeContextManager.setReminder(sessionId, userId, args.task, args.durationInSeconds);
+        return { reminder: timeContextManager.describeReminder(reminder) };
+      }
+      if (!args.when) {
+        throw new ToolError('Provide durationInSeconds or when');
+      }
+
+      const request = reminderParser.parseReminderRequest(`remind me ${args.when} to ${args.task}`, {
+        timezone: args.timezone || timezone
+      });
+      if (!request) {
+        throw new ToolError(`Could not understand the time "${args.when}"`);
+      }
+
+      const reminder = await timeContextManager.setReminderAt(sessionId, userId, args.task, request.reminderTime, {
+        timezone: request.timezone,
+        recurrence: request.recurrence
+      });
+      return { reminder: timeContextManager.describeReminder(reminder) };
+    }
+  },
+
+  list_reminders: {
+    description: "List the user's reminders.",
+    parameters: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['upcoming', 'triggered', 'completed', 'cancelled', 'all'], description: 'Which reminders (default upcoming)' }
+      },
+      required: []
+    },
+    handler: async ({ userId, args }) => {
+      const reminders = await timeContextManager.listReminders({ userId, status: args.status || 'upcoming' });
+      return {
+        reminders: reminders.map(reminder => ({
+          id: reminder.id,
+          task: reminder.task,
+          reminderTime: new Date(reminder.reminderTime).toISOString(),
+          recurrence: reminder.recurrence,
+          status: reminder.status
+        }))
+      };
+    }
+  },
+
+  cancel_reminder: {
+    description: 'Cancel one of the user\'s reminders by ID (use list_reminders to find it).',
+    parameters: {
+      type: 'object',
+      properties: {
+        reminderId: { type: 'string', description: 'ID of the reminder to cancel' }
+      },
+      required: ['reminderId']
+    },
+    handler: async ({ userId, args }) => {
+      const reminder = await timeContextManager.activeReminders.get(args.reminderId);
+      if (!reminder || reminder.userId !== userId) {
+        throw new ToolError('Reminder not found', 404);
+      }
+      await timeContextManager.cancelReminder(reminder.id);
+      return { cancelled: true, reminderId: reminder.id, task: reminder.task };
+    }
+  },
+
+  wait: {
+    description: 'Pause before responding, when the user asks you to wait. Optionally say a message when the wait ends.',
+    parameters: {
+      type: 'object',
+      properties: {
+        seconds: { type: 'integer', minimum: 1, maximum: MAX_WAIT_SECONDS, description: 'How long to wait' },
+        message: { type: 'string', description: 'What to say when the wait is over' }
+      },
+      required: ['seconds']
+    },
+    handler: async ({ sessionId, args }) => {
+      const delay = await delayHandler.createDelay(sessionId, args.seconds, { message: args.message });
+      return { delay };
+    }
+  },
+
+  cancel_wait: {
+    description: 'Stop waiting and respond now, when the user calls off a wait ("never mind, answer now").',
+    parameters: {
+      type: 'object',
+      properties: {},
+      required: []
+    },
+    handler: async ({ sessionId }) => {
+      const { cancelled } = await delayHandler.clearDelay(sessionId, { reason: 'interrupted' });
+      return { cancelled: cancelled.length };
+    }
+  }
+};
+
+// Arguments are checked with the shared request validator (validation.js).
+// String arguments must not be blank, which the registered schemas leave out.
+const argumentSchema = (parameters) => ({
+  ...parameters,
+  properties: Object.fromEntries(Object.entries(parameters.properties).map(([name, property]) => [
+    name,
+    property.type === 'string' ? { ...property, pattern: NON_BLANK } : property
+  ]))
+});
+
+// Tool descriptions for registering on the agent. With a baseUrl, each tool
+// also gets the ElevenLabs server-tool (webhook) config pointing back at us.
+const getToolDefinitions = (baseUrl) => Object.entries(tools).map(([name, tool]) => {
+  const definition = {
+    name,
+    description: tool.description,
+    parameters: tool.parameters
+  };
+
+  if (baseUrl) {
+    definition.elevenLabsServerTool = {
+      type: 'webhook',
+      name,
+      description: tool.description,
+      api_schema: {
+        url: `${baseUrl.replace(/\/+$/, '')}/api/tools/${name}`,
+        method: 'POST',
+        request_headers: {
+          'X-Agent-Tools-Secret': '{{secret__agent_tools_secret}}'
+        },
+        request_body_schema: {
+          ...tool.parameters,
+          properties: {
+            ...tool.parameters.properties,
+            session_id: { type: 'string', description: 'Always {{session_id}}' },
+            user_id: { type: 'string', description: 'Always {{user_id}}' }
+          },
+          required: [...(tool.parameters.required || []), 'session_id']
+        }
+      }
+    };
+  }
+
+  return definition;
+});
+
+// memoryNamespace scopes remember_fact and recall_memories to the session's
+// persona; timezone and locale are the user's (see user-profiles.js)
+async function runTool(name, { userId, sessionId, memoryNamespace, timezone, locale, args = {} }) {
+  const tool = tools[name];
+  if (!tool) {
+    throw new ToolError(`Unknown tool "${name}"`, 404);
+  }
+
+  const { value, errors } = validate(argumentSchema(tool.parameters), args);
+  if (Object.keys(errors).length > 0) {
+    const problems = Object.entries(errors).map(([field, problem]) => `${field} ${problem}`);
+    throw new ToolError(`Invalid arguments: ${problems.join('; ')}`, 400, { fields: errors });
+  }
+
+  return tool.handler({ userId, sessionId, memoryNamespace, timezone, locale, args: value });
+}
+
+module.exports = {
+  getToolDefinitions,
+  runTool,
+  ToolError
+};
@@ -0,0 +1,836 @@
+const { NON_BLANK } = require('./validation');
+const delayHandler = require('./delay-handler');
+const { MAX_DISPLAY_NAME_LENGTH } = require('./user-profiles');
+
+// Request and response schemas for every HTTP route. Request schemas (params,
+// query, body) are enforced by validation.validateRequest; responses are
+// documented only. openapi.js turns this table into /api/openapi.json.
+//
+// Each route has:
+//   method, path   as registered with Express
+//   summary, tag   for the OpenAPI document
+//   auth           'token' (session token required), 'optional' (token used
+//                  when present), 'tools' (token or agent tools secret),
+//                  'signature' (ElevenLabs webhook signature), 'cron'
+//                  (CRON_SECRET bearer token) or 'none'
+//   params, query, body   JSON Schemas for the request
+//   response       JSON Schema of the 200 body
+//   errors         other statuses the route returns, with what they mean
+
+// Reminders can be set at most a year ahead
+const MAX_REMINDER_SECONDS = 365 * 24 * 60 * 60;
+const DEFAULT_SNOOZE_SECONDS = 5 * 60;
+const REMINDER_STATUSES = ['upcoming', 'triggered', 'completed', 'cancelled', 'failed', 'all'];
+const MESSAGE_ROLES = ['user', 'assistant', 'agent', 'system'];
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const typed = (type) => (description, extra = {}) => ({ type, ...(description ? { description } : {}), ...extra });
+const string = typed('string');
+const integer = typed('integer');
+const text = (description, extra = {}) => string(description, { minLength: 1, pattern: NON_BLANK, ...extra });
+const object = (properties, required = []) => ({ type: 'object', properties, required });
+const arrayOf = (items, extra = {}) => ({ type: 'array', items, ...extra });
+
+const userId = text('ID of the user');
+const sessionId = text('ID of the session');
+const persona = string('Persona ID (see GET /api/personas)');
+const durationInSeconds = integer('Seconds from now', { minimum: 1, maximum: MAX_REMINDER_SECONDS });
+const success = { type: 'boolean', enum: [true] };
+
+// Parts of a response that had to be left out because a dependency failed;
+// the request still succeeded without them
+const DEGRADED_FEATURES = ['memory', 'context', 'summary'];
+const degraded = arrayOf(string('', { enum: DEGRADED_FEATURES }), {
+  description: 'What was unavailable: "memory" (memory backend down), "context" (agent context ' +
+    'couldn\'t be built) or "summary" (session couldn\'t be summarised). Empty when nothing was.'
+});
+const memoryUnavailable = 'Memory is unavailable';
+
+// Shared response shapes, published as OpenAPI components
+const components = {
+  Error: object({
+    error: string('What went wrong'),
+    code: string('Machine-readable error code, e.g. "session_not_found" or "memory_unavailable"'),
+    requestId: string('ID of the request, also sent as X-Request-Id; quote it when reporting a problem')
+  }, ['error']),
+
+  ValidationError: object({
+    error: string('Always "Invalid request"'),
+    fields: {
+      type: 'object',
+      description: 'What is wrong with each failing field, keyed by field path (e.g. "messages[0].role")',
+      additionalProperties: { type: 'string' }
+    }
+  }, ['error', 'fields']),
+
+  RateLimited: object({
+    error: string('What was exceeded'),
+    limit: string('Name of the limit or daily quota, e.g. "signedUrlIp" or "memoryWrites"'),
+    retryAfterSeconds: integer('Seconds until it can be tried again, also sent as Retry-After')
+  }, ['error', 'limit', 'retryAfterSeconds']),
+
+  TimeContext: object({
+    timestamp: integer('Unix time in milliseconds'),
+    iso: string('UTC time', { format: 'date-time' }),
+    readableTime: string('Localized time, e.g. "October 19th 2026, 1:10:19 pm"'),
+    dayOfWeek: string('Localized day name'),
+    timeOfDay: string('Part of the day, e.g. "morning" (see TIME_OF_DAY_BUCKETS)'),
+    timezone: string('IANA timezone'),
+    locale: string('Locale tag'),
+    utcOffset: string('e.g. "+05:30"'),
+    localIso: string('Local time with offset', { format: 'date-time' })
+  }),
+
+  Message: object({
+    id: string('Message ID'),
+    seq: integer('Position in the user\'s chat log; doubles as the pagination cursor'),
+    sessionId: string('Session the message belongs to'),
+    role: string('Speaker', { enum: MESSAGE_ROLES }),
+    content: string('What was said'),
+    timestamp: integer('When it was said, Unix ms'),
+    createdAt: integer('When it was stored, Unix ms')
+  }),
+
+  Session: object({
+    userId: string('Owner'),
+    knownUser: { type: 'boolean', description: 'Whether the user had a profile when the session started' },
+    displayName: { type: 'string', nullable: true },
+    persona: { type: 'string', nullable: true },
+    memoryNamespace: { type: 'string', nullable: true },
+    timezone: string('IANA timezone'),
+    locale: string('Locale tag'),
+    startTime: integer('Unix ms'),
+    lastActiveTime: integer('Unix ms'),
+    interactions: integer('Requests made in the session'),
+    memoryIds: arrayOf({ type: 'string' }),
+    resumedAt: integer('When the session was last resumed after ending, Unix ms'),
+    timeContext: ref('TimeContext')
+  }),
+
+  SessionListing: object({
+    sessionId: string('Session ID'),
+    status: string('Live, or ended but still resumable', { enum: ['active', 'ended'] }),
+    persona: { type: 'string', nullable: true },
+    startTime: integer('Unix ms'),
+    lastActiveTime: integer('Unix ms'),
+    interactions: integer('Requests made in the session'),
+    memoryIds: arrayOf({ type: 'string' }),
+    expiresAt: integer('Active sessions: when the idle timeout ends them, Unix ms'),
+    endedAt: integer('Ended sessions: when they ended, Unix ms'),
+    summary: { type: 'string', nullable: true },
+    resumableUntil: integer('Ended sessions: last moment they can be resumed, Unix ms')
+  }),
+
+  Reminder: object({
+    id: string('Reminder ID'),
+    sessionId: string('Session the reminder was set in'),
+    userId: string('Owner'),
+    task: string('What to remind the user about'),
+    createdAt: integer('Unix ms'),
+    updatedAt: { type: 'integer', nullable: true, description: 'Unix ms of the last change' },
+    reminderTime: integer('When it is due, Unix ms'),
+    durationInSeconds: integer('Seconds from creation (or the last reschedule) until due'),
+    timezone: { type: 'string', nullable: true },
+    recurrence: { type: 'object', nullable: true, description: 'Repeat rule for recurring reminders' },
+    status: string('Lifecycle state', { enum: REMINDER_STATUSES.filter(status => status !== 'all') }),
+    triggeredAt: { type: 'integer', nullable: true, description: 'Unix ms it last fired' },
+    completedAt: { type: 'integer', nullable: true, description: 'Unix ms' },
+    cancelledAt: { type: 'integer', nullable: true, description: 'Unix ms' },
+    snoozeCount: integer('Times it has been snoozed')
+  }),
+
+  Delay: object({
+    id: string('Delay ID'),
+    sessionId: string('Session ID'),
+    delaySeconds: integer('Length of the delay'),
+    startTime: integer('Unix ms; later than now when queued behind another delay'),
+    endTime: integer('Unix ms'),
+    queuePosition: integer('Place in the session\'s queue'),
+    message: { type: 'string', nullable: true },
+    isActive: { type: 'boolean' }
+  }),
+
+  Memory: object({
+    id: string('Memory ID'),
+    memory: string('Memory text'),
+    metadata: { type: 'object', description: 'Category, persona namespace, time context and other tags' },
+    timeSince: string('How long ago it was made, e.g. "2 days ago"'),
+    isRecent: { type: 'boolean' }
+  }),
+
+  Profile: object({
+    userId: string('Owner'),
+    exists: { type: 'boolean', description: 'False when no profile has been saved yet' },
+    displayName: string('Name the agent calls the user'),
+    preferredLanguage: string('BCP 47 language tag'),
+    timezone: string('IANA timezone'),
+    locale: string('Locale tag'),
+    personaPreferences: object({ defaultPersona: { type: 'string', nullable: true } }),
+    consent: object({
+      memory: { type: 'boolean', description: 'Store long-term memories and session summaries' },
+      transcripts: { type: 'boolean', description: 'Keep the chat log' }
+    }),
+    createdAt: string('', { format: 'date-time' }),
+    updatedAt: string('', { format: 'date-time' })
+  }),
+
+  Event: object({
+    id: integer('Increasing per session; send as Last-Event-ID to resume'),
+    type: string('reminder.triggered, delay.completed, delay.cancelled, session.expiring or session.ended'),
+    sessionId: string('Session ID'),
+    data: { type: 'object' },
+    createdAt: integer('Unix ms')
+  })
+};
+
+// Editable profile fields; user-profiles.validateProfileFields checks the values
+const profileBody = {
+  type: 'object',
+  properties: {
+    displayName: string('Name the agent calls the user', { maxLength: MAX_DISPLAY_NAME_LENGTH, nullable: true }),
+    preferredLanguage: string('BCP 47 language tag, e.g. "hi-IN"', { nullable: true }),
+    timezone: string('IANA timezone, e.g. "Asia/Kolkata"', { nullable: true }),
+    locale: string('Locale tag for dates and times', { nullable: true }),
+    personaPreferences: {
+      type: 'object',
+      nullable: true,
+      properties: { defaultPersona: { type: 'string', nullable: true, description: 'Persona for new sessions' } }
+    },
+    consent: {
+      type: 'object',
+      nullable: true,
+      properties: {
+        memory: { type: 'boolean', description: 'Store long-term memories and session summaries' },
+        transcripts: { type: 'boolean', description: 'Keep the chat log' }
+      }
+    }
+  }
+};
+
+const routes = {
+  signedUrl: {
+    method: 'get',
+    path: '/api/signed-url',
+    tag: 'Sessions',
+    summary: 'Start a session, or continue one, and get a signed ElevenLabs URL and session token',
+    auth: 'optional',
+    query: object({
+      userId: string('Continue as this user (needs their token)'),
+      sessionId: string('Continue or resume this session (needs the owner\'s token)'),
+      persona,
+      timezone: string('The user\'s IANA timezone, remembered on their profile if they have one'),
+      locale: string('The user\'s locale, remembered on their profile if they have one')
+    }),
+    response: object({
+      signedUrl: string('WebSocket URL for the ElevenLabs conversation'),
+      userId: string('User ID'),
+      sessionId: string('Session ID'),
+      persona: string('Persona ID'),
+      timezone: string('IANA timezone'),
+      locale: string('Locale tag'),
+      profile: ref('Profile'),
+      continuation: {
+        type: 'object',
+        nullable: true,
+        description: 'For a continued or resumed session: what the device needs to carry on',
+        properties: {
+          resumed: { type: 'boolean', description: 'The session had ended and was reopened' },
+          startTime: integer('Unix ms'),
+          interactions: integer('Requests made in the session'),
+          memoryIds: arrayOf({ type: 'string' }),
+          history: arrayOf(ref('Message')),
+          reminders: arrayOf(ref('Reminder'))
+        }
+      },
+      token: string('Session token for the Authorization header'),
+      tokenExpiresAt: integer('Unix ms'),
+      conversationOverrides: { type: 'object' },
+      degraded,
+      dynamicVariables: { type: 'object', additionalProperties: { type: 'string' } }
+    }),
+    errors: {
+      401: 'Continuing as a user without their token',
+      403: 'The session belongs to someone else',
+      404: 'The session doesn\'t exist or can no longer be resumed',
+      409: 'The session\'s persona is no longer configured',
+      429: 'Too many signed URLs requested, or the user\'s conversation minutes for the day are used up',
+      502: 'ElevenLabs refused or couldn\'t be reached'
+    }
+  },
+
+  storeConversation: {
+    method: 'post',
+    path: '/api/store-conversation',
+    tag: 'Conversations',
+    summary: 'Store transcript messages, pick up reminder requests and save them as memory',
+    auth: 'token',
+    body: object({
+      userId,
+      sessionId,
+      messages: arrayOf(object({
+        id: string('Client message ID, used to drop re-sent messages'),
+        role: string('Speaker', { enum: MESSAGE_ROLES }),
+        content: text('What was said'),
+        timestamp: { description: 'When it was said (Unix ms or ISO string)' }
+      }, ['role', 'content']), { minItems: 1 }),
+      timezone: string('The user\'s IANA timezone'),
+      conversationId: string('ElevenLabs conversation ID, linked so the post-call webhook finds the session')
+    }, ['userId', 'sessionId', 'messages']),
+    response: object({
+      success,
+      memoryId: { type: 'string', nullable: true },
+      session: ref('Session'),
+      pendingReminders: arrayOf(ref('Reminder')),
+      messageIds: arrayOf({ type: 'string' }, { description: 'IDs of the newly stored messages' }),
+      duplicateCount: integer('Re-sent messages that were skipped'),
+      historyCount: integer('Messages in the user\'s chat log'),
+      memoryQuotaExceeded: {
+        type: 'boolean',
+        description: 'The user\'s memory writes for the day are used up, so the messages were logged but not stored as memory'
+      },
+      degraded
+    }),
+    errors: {
+      404: 'Session not found',
+      429: 'Too many requests'
+    }
+  },
+
+  checkReminders: {
+    method: 'get',
+    path: '/api/check-reminders',
+    tag: 'Reminders',
+    summary: 'Get and acknowledge the user\'s due reminders, from any of their sessions',
+    auth: 'token',
+    query: object({ sessionId }, ['sessionId']),
+    response: object({
+      pendingReminders: arrayOf(ref('Reminder')),
+      currentTime: ref('TimeContext')
+    })
+  },
+
+  setReminder: {
+    method: 'post',
+    path: '/api/set-reminder',
+    tag: 'Reminders',
+    summary: 'Set a reminder durationInSeconds from now',
+    auth: 'token',
+    body: object({
+      sessionId,
+      userId,
+      task: text('What to remind the user about'),
+      durationInSeconds
+    }, ['sessionId', 'userId', 'task', 'durationInSeconds']),
+    response: object({ success, reminder: ref('Reminder') })
+  },
+
+  listReminders: {
+    method: 'get',
+    path: '/api/reminders',
+    tag: 'Reminders',
+    summary: 'List a user\'s reminders, optionally for one session and status',
+    auth: 'token',
+    query: object({
+      userId,
+      sessionId: string('Only this session\'s reminders'),
+      status: string('Which reminders', { enum: REMINDER_STATUSES, default: 'upcoming' })
+    }, ['userId']),
+    response: object({
+      reminders: arrayOf(ref('Reminder')),
+      currentTime: ref('TimeContext')
+    })
+  },
+
+  getReminder: {
+    method: 'get',
+    path: '/api/reminders/:reminderId',
+    tag: 'Reminders',
+    summary: 'Get a reminder',
+    auth: 'token',
+    query: object({ userId, sessionId: string('Only if it belongs to this session') }, ['userId']),
+    response: object({ reminder: ref('Reminder') }),
+    errors: { 404: 'Reminder not found' }
+  },
+
+  updateReminder: {
+    method: 'patch',
+    path: '/api/reminders/:reminderId',
+    tag: 'Reminders',
+    summary: 'Change a reminder\'s task or reschedule it durationInSeconds from now',
+    auth: 'token',
+    body: object({
+      userId,
+      sessionId: string('Only if it belongs to this session'),
+      task: text('New task'),
+      durationInSeconds
+    }, ['userId']),
+    response: object({ success, reminder: ref('Reminder') }),
+    errors: { 404: 'Reminder not found' }
+  },
+
+  snoozeReminder: {
+    method: 'post',
+    path: '/api/reminders/:reminderId/snooze',
+    tag: 'Reminders',
+    summary: 'Snooze a reminder',
+    auth: 'token',
+    body: object({
+      userId,
+      sessionId: string('Only if it belongs to this session'),
+      durationInSeconds: { ...durationInSeconds, default: DEFAULT_SNOOZE_SECONDS }
+    }, ['userId']),
+    response: object({ success, reminder: ref('Reminder') }),
+    errors: { 404: 'Reminder not found or cancelled' }
+  },
+
+  cancelReminder: {
+    method: 'delete',
+    path: '/api/reminders/:reminderId',
+    tag: 'Reminders',
+    summary: 'Cancel a reminder, including future occurrences of a recurring one',
+    description: 'userId and sessionId may be given in the query string or the body.',
+    auth: 'token',
+    query: object({ userId: string('ID of the user'), sessionId: string('Only if it belongs to this session') }),
+    body: object({ userId: string('ID of the user'), sessionId: string('Only if it belongs to this session') }),
+    response: object({ success, reminder: ref('Reminder') }),
+    errors: { 404: 'Reminder not found' }
+  },
+
+  retrieveContext: {
+    method: 'post',
+    path: '/api/retrieve-context',
+    tag: 'Memories',
+    summary: 'Search a user\'s memories',
+    auth: 'token',
+    body: object({
+      userId,
+      query: text('What to look for'),
+      sessionId: string('Limit to the session\'s persona'),
+      persona
+    }, ['userId', 'query']),
+    response: object({
+      memories: arrayOf(ref('Memory')),
+      currentTime: ref('TimeContext')
+    }),
+    errors: { 503: memoryUnavailable }
+  },
+
+  agentContext: {
+    method: 'post',
+    path: '/api/agent-context',
+    tag: 'Memories',
+    summary: 'Build the agent\'s context block from memories, history, reminders, delays and the time',
+    auth: 'token',
+    body: object({
+      userId,
+      sessionId: string('Session to build the context for'),
+      query: string('Memory search query; defaults to the user\'s last message'),
+      tokenBudget: integer('Approximate size limit for the prompt', { minimum: 100, maximum: 8000 }),
+      persona
+    }, ['userId']),
+    response: object({
+      prompt: string('Context block for the agent'),
+      tokenBudget: integer(''),
+      tokenEstimate: integer(''),
+      dynamicVariables: { type: 'object', additionalProperties: { type: 'string' } },
+      memories: arrayOf({ type: 'object' }),
+      history: arrayOf(ref('Message')),
+      pendingReminders: arrayOf(ref('Reminder')),
+      upcomingReminders: arrayOf(ref('Reminder')),
+      delay: { type: 'object', nullable: true },
+      timeContext: ref('TimeContext'),
+      profile: { type: 'object', nullable: true },
+      degraded
+    })
+  },
+
+  endSession: {
+    method: 'post',
+    path: '/api/end-session',
+    tag: 'Sessions',
+    summary: 'End a session and store its summary',
+    auth: 'token',
+    body: object({ sessionId }, ['sessionId']),
+    response: object({ success, summary: { type: 'object', description: 'Includes `degraded`' } }),
+    errors: { 404: 'Session not found' }
+  },
+
+  elevenLabsWebhook: {
+    method: 'post',
+    path: '/api/webhooks/elevenlabs',
+    tag: 'Webhooks',
+    summary: 'ElevenLabs post-call webhook: store the transcript and end the session',
+    auth: 'signature',
+    body: object({
+      type: string('Event type; only post_call_transcription is processed'),
+      data: { type: 'object' }
+    }),
+    response: object({
+      success,
+      duplicate: { type: 'boolean' },
+      ignored: { type: 'boolean' },
+      sessionId: string('Session ID'),
+      messagesStored: integer(''),
+      duplicateCount: integer(''),
+      degraded,
+      summary: { type: 'object', nullable: true, description: 'Only on the first delivery' },
+      summarized: { type: 'boolean', description: 'On a duplicate delivery, whether the session was summarised' }
+    }),
+    errors: {
+      401: 'Missing or invalid signature',
+      422: 'Could not match the conversation to a session'
+    }
+  },
+
+  listTools: {
+    method: 'get',
+    path: '/api/tools',
+    tag: 'Agent tools',
+    summary: 'Tool definitions to register on the agent',
+    auth: 'none',
+    response: object({ tools: arrayOf({ type: 'object' }) })
+  },
+
+  runTool: {
+    method: 'post',
+    path: '/api/tools/:toolName',
+    tag: 'Agent tools',
+    summary: 'Run a tool for the agent',
+    description: 'The body holds the tool\'s arguments (see GET /api/tools) plus the caller fields below.',
+    auth: 'tools',
+    body: object({
+      session_id: string('Session the call acts on ({{session_id}})'),
+      user_id: string('User the call acts on ({{user_id}})'),
+      sessionId: string('Same as session_id'),
+      userId: string('Same as user_id')
+    }),
+    response: object({ success, tool: string('Tool name'), result: { type: 'object' } }),
+    errors: {
+      403: 'The session belongs to someone else; or, for remember_fact, the user hasn\'t consented to memory',
+      404: 'Unknown tool, session or reminder',
+      429: 'Too many requests; or, for remember_fact, the user\'s memory writes for the day are used up',
+      503: memoryUnavailable
+    }
+  },
+
+  userMemories: {
+    method: 'get',
+    path: '/api/user-memories/:userId',
+    tag: 'Memories',
+    summary: 'List a user\'s memories',
+    auth: 'token',
+    query: object({ persona }),
+    response: object({
+      memories: arrayOf(ref('Memory')),
+      currentTime: ref('TimeContext')
+    }),
+    errors: { 503: memoryUnavailable }
+  },
+
+  getMemory: {
+    method: 'get',
+    path: '/api/memories/:memoryId',
+    tag: 'Memories',
+    summary: 'Get a memory',
+    auth: 'token',
+    query: object({ userId }, ['userId']),
+    response: object({ memory: ref('Memory') }),
+    errors: { 404: 'Memory not found', 503: memoryUnavailable }
+  },
+
+  updateMemory: {
+    method: 'patch',
+    path: '/api/memories/:memoryId',
+    tag: 'Memories',
+    summary: 'Correct a memory\'s text and/or metadata',
+    auth: 'token',
+    body: object({
+      userId,
+      memory: text('New memory text'),
+      metadata: { type: 'object', description: 'New metadata' }
+    }, ['userId']),
+    response: object({ success, memory: ref('Memory') }),
+    errors: { 404: 'Memory not found', 503: memoryUnavailable }
+  },
+
+  deleteMemory: {
+    method: 'delete',
+    path: '/api/memories/:memoryId',
+    tag: 'Memories',
+    summary: 'Delete a memory',
+    description: 'userId may be given in the query string or the body.',
+    auth: 'token',
+    query: object({ userId: string('ID of the user') }),
+    body: object({ userId: string('ID of the user') }),
+    response: object({ success, memoryId: string('Deleted memory') }),
+    errors: { 404: 'Memory not found', 503: memoryUnavailable }
+  },
+
+  memoryHistory: {
+    method: 'get',
+    path: '/api/memories/:memoryId/history',
+    tag: 'Memories',
+    summary: 'List a memory\'s revisions',
+    auth: 'token',
+    query: object({ userId }, ['userId']),
+    response: object({ memoryId: string('Memory ID'), history: arrayOf({ type: 'object' }) }),
+    errors: { 404: 'Memory not found', 503: memoryUnavailable }
+  },
+
+  listUserSessions: {
+    method: 'get',
+    path: '/api/users/:userId/sessions',
+    tag: 'Sessions',
+    summary: 'List a user\'s live sessions and the ended ones that can still be resumed',
+    auth: 'token',
+    response: object({ sessions: arrayOf(ref('SessionListing')) })
+  },
+
+  getProfile: {
+    method: 'get',
+    path: '/api/users/:userId/profile',
+    tag: 'Users',
+    summary: 'Get a user\'s profile',
+    auth: 'token',
+    response: object({ profile: ref('Profile') })
+  },
+
+  replaceProfile: {
+    method: 'put',
+    path: '/api/users/:userId/profile',
+    tag: 'Users',
+    summary: 'Create or replace a profile; fields left out are cleared',
+    auth: 'token',
+    body: profileBody,
+    response: object({ success, profile: ref('Profile') })
+  },
+
+  updateProfile: {
+    method: 'patch',
+    path: '/api/users/:userId/profile',
+    tag: 'Users',
+    summary: 'Change some profile fields; null clears a field',
+    auth: 'token',
+    body: profileBody,
+    response: object({ success, profile: ref('Profile') })
+  },
+
+  deleteProfile: {
+    method: 'delete',
+    path: '/api/users/:userId/profile',
+    tag: 'Users',
+    summary: 'Delete a profile',
+    auth: 'token',
+    response: object({ success }),
+    errors: { 404: 'Profile not found' }
+  },
+
+  exportUserData: {
+    method: 'get',
+    path: '/api/users/:userId/export',
+    tag: 'Users',
+    summary: 'Export everything stored about a user',
+    auth: 'token',
+    response: { type: 'object', description: 'Profile, memories, chat history, sessions, reminders and delays' },
+    errors: { 503: memoryUnavailable }
+  },
+
+  deleteUserData: {
+    method: 'delete',
+    path: '/api/users/:userId',
+    tag: 'Users',
+    summary: 'Erase a user everywhere',
+    auth: 'token',
+    response: object({ success: { type: 'boolean' }, receipt: { type: 'object' } }),
+    errors: { 500: 'The purge was partial; the receipt lists what is left' }
+  },
+
+  keepAlive: {
+    method: 'post',
+    path: '/api/keep-alive',
+    tag: 'Sessions',
+    summary: 'Keep a session from hitting its idle timeout',
+    auth: 'token',
+    body: object({ sessionId }, ['sessionId']),
+    response: object({
+      success,
+      session: ref('Session'),
+      pendingReminders: arrayOf(ref('Reminder')),
+      expiresAt: integer('When the session ends if nothing else happens, Unix ms'),
+      currentTime: ref('TimeContext')
+    }),
+    errors: { 404: 'Session not found' }
+  },
+
+  getAgentId: {
+    method: 'get',
+    path: '/api/getAgentId',
+    tag: 'Personas',
+    summary: 'ElevenLabs agent ID for a persona',
+    auth: 'none',
+    query: object({ persona }),
+    response: object({ agentId: string('ElevenLabs agent ID'), persona: string('Persona ID') })
+  },
+
+  listPersonas: {
+    method: 'get',
+    path: '/api/personas',
+    tag: 'Personas',
+    summary: 'List the personas a user can talk to',
+    auth: 'none',
+    response: object({
+      defaultPersona: string('Persona used when none is asked for'),
+      personas: arrayOf(object({
+        id: string('Persona ID'),
+        name: string('Display name'),
+        language: { type: 'string', nullable: true }
+      }))
+    })
+  },
+
+  health: {
+    method: 'get',
+    path: '/health',
+    tag: 'Service',
+    summary: 'Health check',
+    auth: 'none',
+    response: object({ status: string('Always "ok"') })
+  },
+
+  housekeeping: {
+    method: 'get',
+    path: '/api/housekeeping',
+    tag: 'Service',
+    summary: 'Fire due reminders, finish expired delays and end idle sessions',
+    description: 'For schedulers such as Vercel Cron, on deployments where the background timer doesn\'t run between requests.',
+    auth: 'cron',
+    response: object({ success, endedSessions: integer('Idle sessions ended in this pass') }),
+    errors: { 401: 'Missing or invalid cron secret' }
+  },
+
+  conversationHistory: {
+    method: 'get',
+    path: '/api/conversation-history/:userId',
+    tag: 'Conversations',
+    summary: 'Page through a user\'s chat log, newest page first',
+    auth: 'token',
+    query: object({
+      limit: integer('Messages per page', { minimum: 1, maximum: 200, default: 20 }),
+      before: string('nextCursor from the previous page', { pattern: '^\\d+$' }),
+      sessionId: string('Only this session\'s messages')
+    }),
+    response: object({
+      history: arrayOf(ref('Message')),
+      nextCursor: { type: 'string', nullable: true },
+      hasMore: { type: 'boolean' },
+      currentTime: ref('TimeContext')
+    })
+  },
+
+  checkStateful: {
+    method: 'get',
+    path: '/api/check-stateful',
+    tag: 'Service',
+    summary: 'Check whether memory, history and time awareness work for a user',
+    auth: 'token',
+    query: object({ userId }, ['userId']),
+    response: object({
+      status: string('Always "success"'),
+      statefulStatus: { type: 'object' },
+      sampleMemories: arrayOf({ type: 'object' }),
+      sampleHistory: arrayOf({ type: 'object' })
+    }),
+    errors: { 503: memoryUnavailable }
+  },
+
+  createDelay: {
+    method: 'post',
+    path: '/api/create-delay',
+    tag: 'Delays',
+    summary: 'Make the agent wait before responding',
+    auth: 'token',
+    body: object({
+      sessionId,
+      delaySeconds: integer('How long to wait', { minimum: 1, maximum: delayHandler.getMaxDelaySeconds() }),
+      message: string('What to say when the wait is over'),
+      replace: { type: 'boolean', description: 'Cancel waits in progress instead of queueing behind them' }
+    }, ['sessionId', 'delaySeconds']),
+    response: object({ success, delay: ref('Delay') })
+  },
+
+  checkDelay: {
+    method: 'get',
+    path: '/api/check-delay',
+    tag: 'Delays',
+    summary: 'Whether the session is waiting, and for how long',
+    auth: 'token',
+    query: object({ sessionId }, ['sessionId']),
+    response: object({
+      hasActiveDelay: { type: 'boolean' },
+      remainingSeconds: integer('Until the last queued delay ends'),
+      delays: arrayOf(ref('Delay'))
+    })
+  },
+
+  processMessage: {
+    method: 'post',
+    path: '/api/process-message',
+    tag: 'Delays',
+    summary: 'Start or call off a wait from what the user said',
+    auth: 'token',
+    body: object({
+      sessionId,
+      message: text('What the user said')
+    }, ['sessionId', 'message']),
+    response: object({
+      success,
+      hasDelay: { type: 'boolean' },
+      delaySeconds: { type: 'integer', nullable: true },
+      capped: { type: 'boolean', description: 'The user asked for longer than MAX_DELAY_SECONDS' },
+      delay: { ...ref('Delay'), nullable: true },
+      interrupted: { type: 'boolean' },
+      cancelledDelays: arrayOf(ref('Delay'))
+    })
+  },
+
+  cancelDelay: {
+    method: 'delete',
+    path: '/api/delay/:sessionId',
+    tag: 'Delays',
+    summary: 'Cancel every pending wait for a session',
+    auth: 'token',
+    response: object({ success, cancelledDelays: arrayOf(ref('Delay')) }),
+    errors: { 404: 'No delay for this session' }
+  },
+
+  events: {
+    method: 'get',
+    path: '/api/events/:sessionId',
+    tag: 'Sessions',
+    summary: 'Session events as Server-Sent Events, or as JSON for clients that can\'t stream',
+    description: 'Send Accept: text/event-stream to stream. Last-Event-ID (header) or lastEventId replays missed events.',
+    auth: 'token',
+    query: object({ lastEventId: integer('Replay events after this one', { minimum: 0 }) }),
+    response: object({
+      events: arrayOf(ref('Event')),
+      lastEventId: integer('')
+    })
+  },
+
+  openApi: {
+    method: 'get',
+    path: '/api/openapi.json',
+    tag: 'Service',
+    summary: 'This API description',
+    auth: 'none',
+    response: { type: 'object', description: 'OpenAPI 3.0 document' }
+  }
+};
+
+module.exports = {
+  routes,
+  components,
+  MAX_REMINDER_SECONDS,
+  REMINDER_STATUSES
+};
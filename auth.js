@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const { sessionManager } = require('./memory-manager');
+const logger = require('./logger');
+
+// Session tokens are HS256 JWTs issued by /api/signed-url. They carry the
+// caller's userId and sessionId; every other /api route needs one and may only
+// touch that user's data.
+
+let secret = process.env.AUTH_SECRET;
+if (!secret) {
+  // Tokens signed with a random secret stop working on restart and aren't
+  // accepted by other instances, so AUTH_SECRET must be set in production
+  logger.warn('AUTH_SECRET is not set; using a random per-process secret');
+  secret = crypto.randomBytes(32).toString('hex');
+}
+
+const getTokenTtlSeconds = () => {
+  const seconds = parseInt(process.env.AUTH_TOKEN_TTL_SECONDS, 10);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds : 24 * 60 * 60;
+};
+
+const base64UrlEncode = (input) => Buffer.from(input)
+  .toString('base64')
+  .replace(/=+$/, '')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_');
+
+const base64UrlDecode = (input) => Buffer.from(
+  input.replace(/-/g, '+').replace(/_/g, '/'),
+  'base64'
+).toString('utf8');
+
+const sign = (data) => base64UrlEncode(crypto.createHmac('sha256', secret).update(data).digest());
+
+// Issue a token for a user and their current session
+function issueToken({ userId, sessionId }) {
+  const now = Math.floor(Date.now() / 1000);
+  const expiresAt = now + getTokenTtlSeconds();
+
+  const header = base64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64UrlEncode(JSON.stringify({
+    sub: userId,
+    sid: sessionId,
+    iat: now,
+    exp: expiresAt
+  }));
+
+  return {
+    token: `${header}.${payload}.${sign(`${header}.${payload}`)}`,
+    expiresAt: expiresAt * 1000
+  };
+}
+
+// Returns { userId, sessionId } for a valid, unexpired token, otherwise null
+function verifyToken(token) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  const [header, payload, signature] = parts;
+  const expected = sign(`${header}.${payload}`);
+  if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(base64UrlDecode(payload));
+    if (!claims.sub || !claims.exp || claims.exp * 1000 <= Date.now()) {
+      return null;
+    }
+    return { userId: claims.sub, sessionId: claims.sid };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Bearer token from the Authorization header, or ?token= for EventSource
+// clients, which can't set headers
+const getRequestToken = (req) => {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (match) {
+    return match[1].trim();
+  }
+  return req.query.token || null;
+};
+
+// Public paths ending in "/*" match everything below that prefix
+const isPublicPath = (publicPaths, requestPath) => publicPaths.some(publicPath => (
+  publicPath.endsWith('/*')
+    ? requestPath.startsWith(publicPath.slice(0, -1))
+    : publicPath === requestPath
+));
+
+// Reject requests without a valid token, except for the given public paths.
+// req.auth is set whenever a valid token is present, public path or not.
+function authenticate({ publicPaths = [] } = {}) {
+  return (req, res, next) => {
+    req.auth = verifyToken(getRequestToken(req));
+
+    if (isPublicPath(publicPaths, req.path)) {
+      return next();
+    }
+
+    if (!req.auth) {
+      return res.status(401).json({ error: "Missing or invalid session token" });
+    }
+
+    next();
+  };
+}
+
+// ElevenLabs server tools call us directly, without a user's token; they
+// authenticate with the shared AGENT_TOOLS_SECRET in the X-Agent-Tools-Secret header
+function hasAgentToolsSecret(req, toolsSecret = process.env.AGENT_TOOLS_SECRET) {
+  return matchesSecret(req.get('X-Agent-Tools-Secret'), toolsSecret);
+}
+
+// Scheduled jobs such as Vercel Cron send the shared CRON_SECRET as a bearer token
+function hasCronSecret(req, cronSecret = process.env.CRON_SECRET) {
+  const match = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+  return matchesSecret(match && match[1].trim(), cronSecret);
+}
+
+// Compare hashes so the comparison takes the same time whatever was sent
+function matchesSecret(provided, secret) {
+  if (!secret || !provided) {
+    return false;
+  }
+  const expected = crypto.createHash('sha256').update(secret).digest();
+  const actual = crypto.createHash('sha256').update(provided).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// A session belongs to the caller if it's the token's own session or the
+// stored session record, live or recently ended, names the caller as its user
+async function ownsSession(auth, sessionId) {
+  if (!auth) {
+    return false;
+  }
+  if (sessionId === auth.sessionId) {
+    return true;
+  }
+  return (await sessionManager.getSessionOwner(sessionId)) === auth.userId;
+}
+
+// Route-level check that every userId and sessionId in the params, query or
+// body belongs to the authenticated caller
+async function authorize(req, res, next) {
+  try {
+    if (!req.auth) {
+      return res.status(401).json({ error: "Missing or invalid session token" });
+    }
+
+    const sources = [req.params || {}, req.query || {}, req.body || {}];
+
+    for (const source of sources) {
+      if (source.userId !== undefined && source.userId !== req.auth.userId) {
+        return res.status(403).json({ error: "Not allowed to access this user" });
+      }
+    }
+
+    for (const source of sources) {
+      if (source.sessionId !== undefined && !(await ownsSession(req.auth, source.sessionId))) {
+        return res.status(403).json({ error: "Not allowed to access this session" });
+      }
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  issueToken,
+  verifyToken,
+  authenticate,
+  authorize,
+  ownsSession,
+  hasAgentToolsSecret,
+  hasCronSecret
+};
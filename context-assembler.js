@@ -0,0 +1,192 @@
+const moment = require('moment-timezone');
+const { memoryManager, sessionManager, timeContextManager } = require('./memory-manager');
+const userProfiles = require('./user-profiles');
+const conversationLog = require('./conversation-log');
+const delayHandler = require('./delay-handler');
+const logger = require('./logger');
+const { MemoryUnavailable } = require('./errors');
+
+// Builds one ready-to-inject context block for the voice agent out of
+// relevant memories, recent history, reminders, delays and the current time,
+// trimmed to a token budget.
+
+const DEFAULT_TOKEN_BUDGET = parseInt(process.env.AGENT_CONTEXT_TOKEN_BUDGET, 10) || 1500;
+const HISTORY_MESSAGES = 10;
+
+// Memories lose half their recency weight every RECENCY_HALF_LIFE_HOURS
+const RECENCY_HALF_LIFE_HOURS = 72;
+const RELEVANCE_WEIGHT = 0.7;
+const RECENCY_WEIGHT = 0.3;
+
+// Rough token count; about four characters per token for English text
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+const memoryText = (memory) => memory.memory ||
+  (Array.isArray(memory.messages) ? memory.messages.map(message => message.content).join(' ') : '');
+
+// Rank memories by search relevance blended with how recently they were made,
+// using the isRecent/timeSince data from retrieveRelevantMemories
+const rankMemories = (memories) => {
+  const now = moment();
+
+  return memories
+    .map(memory => {
+      const createdAt = (memory.metadata && memory.metadata.timeContext && memory.metadata.timeContext.timestamp) ||
+        memory.createdAt ||
+        now.valueOf();
+      const ageHours = Math.max(0, now.diff(moment(createdAt), 'hours', true));
+      const recency = Math.pow(0.5, ageHours / RECENCY_HALF_LIFE_HOURS);
+      const relevance = typeof memory.score === 'number' ? Math.min(1, Math.max(0, memory.score)) : 0.5;
+
+      return {
+        id: memory.id,
+        text: memoryText(memory),
+        category: memory.metadata && memory.metadata.category,
+        timeSince: memory.timeSince,
+        isRecent: memory.isRecent,
+        rank: RELEVANCE_WEIGHT * relevance + RECENCY_WEIGHT * recency
+      };
+    })
+    .filter(memory => memory.text)
+    .sort((a, b) => b.rank - a.rank);
+};
+
+// Add lines to a section until the budget runs out; returns the lines that fit
+const fitLines = (lines, budget) => {
+  const fitted = [];
+  let used = 0;
+  for (const line of lines) {
+    const cost = estimateTokens(line) + 1;
+    if (used + cost > budget.remaining) {
+      break;
+    }
+    fitted.push(line);
+    used += cost;
+  }
+  budget.remaining -= used;
+  return fitted;
+};
+
+// memoryNamespace limits memories and recent history to one persona's (see
+// personas.js). Times are given in the user's timezone and locale: the ones
+// passed in, else the session's, else the user's profile. The profile also
+// supplies the user's name and preferred language.
+async function assembleAgentContext({ userId, sessionId, query, memoryNamespace, timezone, locale, tokenBudget = DEFAULT_TOKEN_BUDGET }) {
+  const session = sessionId ? await sessionManager.getSession(sessionId) : null;
+  const profile = await userProfiles.getProfile(userId);
+  const timeSettings = await userProfiles.getTimeSettings(userId, {
+    timezone: timezone || (session && session.timezone),
+    locale: locale || (session && session.locale)
+  });
+  const timeContext = timeContextManager.getCurrentTimeContext(timeSettings);
+
+  const { messages: history } = await conversationLog.getMessages(userId, { limit: HISTORY_MESSAGES, memoryNamespace });
+
+  // Without an explicit query, look up memories related to what the user said last
+  const lastUserMessage = [...history].reverse().find(message => message.role === 'user');
+  const searchQuery = query || (lastUserMessage && lastUserMessage.content) || 'user preferences and important facts';
+  // With memory down the agent still gets everything else, and `degraded`
+  // tells the caller memories are missing
+  const degraded = [];
+  let relevantMemories = [];
+  try {
+    relevantMemories = await memoryManager.retrieveRelevantMemories(userId, searchQuery, {
+      memoryNamespace,
+      ...timeSettings
+    });
+  } catch (error) {
+    if (!(error instanceof MemoryUnavailable)) {
+      throw error;
+    }
+    logger.warn('Assembling agent context without memories', { userId, error });
+    degraded.push('memory');
+  }
+  const memories = rankMemories(relevantMemories);
+
+  // Reminders belong to the user, whichever session they were set in
+  const reminders = (await timeContextManager.listReminders({ userId, status: 'all' }))
+    .map(timeContextManager.describeReminder);
+  const pendingReminders = reminders.filter(reminder => reminder.status === 'triggered');
+  const upcomingReminders = reminders.filter(reminder => reminder.status === 'upcoming');
+
+  const delay = sessionId && await delayHandler.hasActiveDelay(sessionId)
+    ? { remainingSeconds: await delayHandler.getRemainingDelayTime(sessionId) }
+    : null;
+
+  // Sections are filled in priority order, so the time and anything due right
+  // now always make it in and older history is the first thing dropped
+  const budget = { remaining: tokenBudget };
+
+  const timeLines = fitLines([
+    `Current time: ${timeContext.readableTime} (${timeContext.dayOfWeek} ${timeContext.timeOfDay}).`
+  ], budget);
+
+  const profileLines = fitLines([
+    profile && profile.displayName ? `The user's name is ${profile.displayName}.` : '',
+    profile && profile.preferredLanguage ? `The user prefers to speak ${profile.preferredLanguage}.` : ''
+  ].filter(Boolean), budget);
+
+  const reminderLines = fitLines([
+    ...pendingReminders.map(reminder => `- DUE NOW: ${reminder.task}`),
+    ...upcomingReminders.map(reminder => `- ${reminder.task} at ${moment.tz(reminder.reminderTime, timeSettings.timezone)
+      .locale(timeSettings.locale)
+      .format('MMM D, h:mm a')}`)
+  ], budget);
+
+  const delayLines = delay
+    ? fitLines([`The user asked you to wait; ${delay.remainingSeconds} seconds remain before you respond.`], budget)
+    : [];
+
+  const memoryLines = fitLines(
+    memories.map(memory => `- ${memory.text}${memory.timeSince ? ` (${memory.timeSince})` : ''}`),
+    budget
+  );
+
+  // Keep the most recent turns, then put them back in chronological order
+  const historyLines = fitLines(
+    [...history].reverse().map(message => `${message.role}: ${message.content}`),
+    budget
+  ).reverse();
+
+  const sections = [
+    timeLines.join('\n'),
+    profileLines.join('\n'),
+    delayLines.join('\n'),
+    reminderLines.length > 0 ? `Reminders:\n${reminderLines.join('\n')}` : '',
+    memoryLines.length > 0 ? `What you remember about the user:\n${memoryLines.join('\n')}` : '',
+    historyLines.length > 0 ? `Recent conversation:\n${historyLines.join('\n')}` : ''
+  ].filter(Boolean);
+
+  const prompt = sections.join('\n\n');
+
+  return {
+    prompt,
+    tokenBudget,
+    tokenEstimate: estimateTokens(prompt),
+    // Flat string values, as ElevenLabs dynamic variables require
+    dynamicVariables: {
+      current_time: timeContext.readableTime,
+      day_of_week: timeContext.dayOfWeek,
+      time_of_day: timeContext.timeOfDay,
+      user_name: (profile && profile.displayName) || '',
+      preferred_language: (profile && profile.preferredLanguage) || '',
+      user_memories: memoryLines.join('\n'),
+      pending_reminders: reminderLines.join('\n'),
+      active_delay: delayLines.join('\n'),
+      recent_history: historyLines.join('\n')
+    },
+    memories: memories.slice(0, memoryLines.length),
+    history: history.slice(history.length - historyLines.length),
+    pendingReminders,
+    upcomingReminders,
+    delay,
+    timeContext,
+    profile,
+    degraded
+  };
+}
+
+module.exports = {
+  assembleAgentContext,
+  estimateTokens
+};
@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { getSessionStore } = require('./session-store');
+const logger = require('./logger');
+
+// Ordered, append-only chat log per user. Every message gets an ID and an
+// increasing sequence number; the sequence number doubles as the pagination
+// cursor. Re-sent messages are dropped, matched on the client's message id or,
+// failing that, on session, role, content and timestamp. Messages carry the
+// memory namespace of the persona they were said to (see personas.js), so one
+// persona's sessions don't see what the user told another.
+//
+// Messages live in a conversation log store, kept apart from the session
+// store since a log grows for as long as the user talks and must survive
+// restarts. A store has three methods:
+//   append(userId, messages, maxMessages) -> [message] with seq set
+//   read(userId)                          -> [message], oldest first
+//   delete(userId)                        -> boolean
+// append hands out the sequence numbers, so two instances appending at once
+// never reuse one, and only writes the new messages; the oldest beyond
+// maxMessages are dropped, possibly later in batches, so read trims to the
+// cap as well.
+// CONVERSATION_LOG_STORE picks "file" (one JSON-lines file per user under
+// CONVERSATION_LOG_DIR) or "redis" (a list per user, for deployments where
+// every instance has to see the same log); it defaults to redis when the
+// session store is Redis and file otherwise.
+
+const getMaxMessages = () => {
+  const value = parseInt(process.env.CONVERSATION_LOG_MAX_MESSAGES, 10);
+  return Number.isFinite(value) && value > 0 ? value : 5000;
+};
+
+const toLines = (messages) => messages.map(message => `${JSON.stringify(message)}\n`).join('');
+
+const parseLines = (raw, filePath) => raw.split('\n')
+  .filter(line => line.trim())
+  .map(line => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      // A crash mid-append can leave half a line behind
+      logger.warn('Skipping unreadable conversation log line', { filePath });
+      return null;
+    }
+  })
+  .filter(Boolean);
+
+// Files are written by this instance only, so it keeps count of each log's
+// lines and last sequence number instead of re-reading the file per append
+const createFileConversationLogStore = (options = {}) => {
+  const directory = path.resolve(
+    options.directory || process.env.CONVERSATION_LOG_DIR || path.join('data', 'conversation-logs')
+  );
+  const filePathFor = (userId) => path.join(directory, `${encodeURIComponent(userId)}.jsonl`);
+  const counters = new Map();
+
+  const read = (filePath) => {
+    try {
+      return parseLines(fs.readFileSync(filePath, 'utf8'), filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      return [];
+    }
+  };
+
+  const getCounter = (userId) => {
+    if (!counters.has(userId)) {
+      const stored = read(filePathFor(userId));
+      counters.set(userId, {
+        lines: stored.length,
+        lastSeq: stored.length > 0 ? stored[stored.length - 1].seq : 0
+      });
+    }
+    return counters.get(userId);
+  };
+
+  return {
+    type: 'file',
+    directory,
+
+    append: async (userId, messages, maxMessages) => {
+      const filePath = filePathFor(userId);
+      const counter = getCounter(userId);
+      const numbered = messages.map((message, index) => ({ ...message, seq: counter.lastSeq + index + 1 }));
+
+      fs.mkdirSync(directory, { recursive: true });
+      fs.appendFileSync(filePath, toLines(numbered));
+      counter.lastSeq += numbered.length;
+      counter.lines += numbered.length;
+
+      // Rewriting the file on every append past the cap would undo the point
+      // of appending, so it's trimmed once it's a tenth over
+      if (counter.lines > maxMessages + Math.ceil(maxMessages / 10)) {
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpPath, toLines(read(filePath).slice(-maxMessages)));
+        fs.renameSync(tmpPath, filePath);
+        counter.lines = maxMessages;
+      }
+      return numbered;
+    },
+
+    read: async (userId) => read(filePathFor(userId)),
+
+    delete: async (userId) => {
+      counters.delete(userId);
+      try {
+        fs.unlinkSync(filePathFor(userId));
+        return true;
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+        return false;
+      }
+    }
+  };
+};
+
+// Takes an ioredis-style client; by default the Redis session store's, else
+// one built from REDIS_URL
+const createRedisConversationLogStore = (options = {}) => {
+  let client = options.client || getSessionStore().client;
+  if (!client) {
+    const redisUrl = options.url || process.env.REDIS_URL;
+    if (!redisUrl) {
+      throw new Error('REDIS_URL is required for the redis conversation log store');
+    }
+    const Redis = require('ioredis');
+    client = new Redis(redisUrl);
+  }
+
+  const prefix = options.prefix || process.env.SESSION_STORE_PREFIX || 'voicechat';
+  const redisKey = (userId) => `${prefix}:conversation-log:${userId}`;
+  const seqKey = (userId) => `${prefix}:conversation-log-seq:${userId}`;
+
+  return {
+    type: 'redis',
+    client,
+
+    // INCRBY reserves the block of sequence numbers atomically
+    append: async (userId, messages, maxMessages) => {
+      const lastSeq = await client.incrby(seqKey(userId), messages.length);
+      const numbered = messages.map((message, index) => ({ ...message, seq: lastSeq - messages.length + index + 1 }));
+      await client.rpush(redisKey(userId), ...numbered.map(message => JSON.stringify(message)));
+      await client.ltrim(redisKey(userId), -maxMessages, -1);
+      return numbered;
+    },
+
+    read: async (userId) => {
+      const raw = await client.lrange(redisKey(userId), 0, -1);
+      return raw.map(entry => JSON.parse(entry));
+    },
+
+    delete: async (userId) => {
+      const removed = await client.del(redisKey(userId), seqKey(userId));
+      return removed > 0;
+    }
+  };
+};
+
+const conversationLogStores = {
+  file: createFileConversationLogStore,
+  redis: createRedisConversationLogStore
+};
+
+let conversationLogStore = null;
+
+const getConversationLogStore = () => {
+  if (!conversationLogStore) {
+    const type = process.env.CONVERSATION_LOG_STORE || (getSessionStore().type === 'redis' ? 'redis' : 'file');
+    const factory = conversationLogStores[type];
+    if (!factory) {
+      throw new Error(`Unknown conversation log store "${type}". Available: ${Object.keys(conversationLogStores).join(', ')}`);
+    }
+    conversationLogStore = factory();
+    logger.info('Conversation log store initialized', { store: conversationLogStore.type });
+  }
+  return conversationLogStore;
+};
+
+const setConversationLogStore = (store) => {
+  conversationLogStore = store;
+};
+
+const dedupeKey = (sessionId, message) => {
+  if (message.id) {
+    return `id:${message.id}`;
+  }
+  return crypto.createHash('sha1')
+    .update(JSON.stringify([sessionId, message.role, message.content, message.timestamp || null]))
+    .digest('hex');
+};
+
+async function getLog(userId) {
+  return (await getConversationLogStore().read(userId)).slice(-getMaxMessages());
+}
+
+// Append new messages for a session; returns the stored and the skipped ones
+async function appendMessages(userId, sessionId, messages, { memoryNamespace = null } = {}) {
+  const log = await getLog(userId);
+  const seen = new Set(log.map(message => message.dedupeKey));
+  const fresh = [];
+  const duplicates = [];
+  const now = Date.now();
+
+  messages.forEach(message => {
+    const key = dedupeKey(sessionId, message);
+    if (seen.has(key)) {
+      duplicates.push(message);
+      return;
+    }
+    seen.add(key);
+
+    fresh.push({
+      id: message.id || uuidv4(),
+      sessionId,
+      memoryNamespace,
+      role: message.role,
+      content: message.content,
+      timestamp: message.timestamp || now,
+      createdAt: now,
+      dedupeKey: key
+    });
+  });
+
+  // Oldest messages fall off once the log reaches its cap
+  const appended = fresh.length > 0
+    ? await getConversationLogStore().append(userId, fresh, getMaxMessages())
+    : [];
+
+  return {
+    appended,
+    duplicates,
+    total: Math.min(log.length + appended.length, getMaxMessages())
+  };
+}
+
+// A page of messages in chronological order, newest page first. Pass the
+// returned nextCursor as `before` to get the page before it. With a
+// memoryNamespace option, only messages said to that persona are returned;
+// null is the unscoped default persona's.
+async function getMessages(userId, { limit = 20, before, sessionId, memoryNamespace } = {}) {
+  const log = await getLog(userId);
+  const beforeSeq = before ? parseInt(before, 10) : Infinity;
+
+  const matching = log.filter(message => message.seq < beforeSeq &&
+    (!sessionId || message.sessionId === sessionId) &&
+    (memoryNamespace === undefined || (message.memoryNamespace || null) === (memoryNamespace || null)));
+  const page = matching.slice(-limit);
+  const hasMore = matching.length > page.length;
+
+  return {
+    messages: page.map(({ dedupeKey: key, ...message }) => message),
+    nextCursor: hasMore && page.length > 0 ? String(page[0].seq) : null,
+    hasMore
+  };
+}
+
+async function deleteUserLog(userId) {
+  return getConversationLogStore().delete(userId);
+}
+
+module.exports = {
+  createFileConversationLogStore,
+  createRedisConversationLogStore,
+  getConversationLogStore,
+  setConversationLogStore,
+  appendMessages,
+  getMessages,
+  deleteUserLog
+};
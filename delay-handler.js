@@ -1,125 +1,246 @@
 // Create a new file called delay-handler.js
 const moment = require('moment');
+const { v4: uuidv4 } = require('uuid');
+const { getSessionStore } = require('./session-store');
+const { publishEvent } = require('./event-stream');
+const durationParser = require('./duration-parser');
+const logger = require('./logger');
 
-// Track pending delays
-const pendingDelays = new Map();
-
-// Process text for time delays
-function processDelayInstructions(text) {
-  // Match patterns like "wait for 5 seconds", "delay response by 10 seconds", etc.
-  const delayPatterns = [
-    /wait for (\d+) seconds?/i,
-    /delay (?:response|reply) by (\d+) seconds?/i,
-    /pause for (\d+) seconds?/i,
-    /hold for (\d+) seconds?/i,
-    /wait (\d+) seconds?/i,
-  ];
-  
-  // Also match Hindi-English mixed patterns
-  const hinglishPatterns = [
-    /(\d+) seconds? wait karo/i,
-    /(\d+) seconds? ke baad jawab do/i,
-    /(\d+) seconds? ruko/i,
-  ];
-  
-  const allPatterns = [...delayPatterns, ...hinglishPatterns];
-  
-  let delaySeconds = 0;
-  let matchedPattern = false;
-  
-  for (const pattern of allPatterns) {
-    const match = text.match(pattern);
-    if (match && match[1]) {
-      delaySeconds = parseInt(match[1]);
-      matchedPattern = true;
-      break;
-    }
-  }
+// Pending delays live in the shared session store so every instance sees them
+const DELAYS = 'delays';
+
+// Keep finished delays around for a while so /api/check-delay can still report them
+const DELAY_RETENTION_MS = 60 * 60 * 1000;
+
+// Longest delay a spoken instruction can ask for; longer requests are capped
+const getMaxDelaySeconds = () => parseInt(process.env.MAX_DELAY_SECONDS, 10) || 10 * 60;
+
+// Process text for time delays, e.g. "wait two minutes", "ek minute ruko",
+// "पाँच सेकंड रुको" (see duration-parser.js for the supported phrasing).
+// `interrupt` is set when the text calls off a wait instead ("never mind, answer now").
+function processDelayInstructions(text, options = {}) {
+  const result = durationParser.parseDelayInstruction(text || '', {
+    maxSeconds: options.maxSeconds || getMaxDelaySeconds()
+  });
   
   return {
-    hasDelay: matchedPattern,
-    delaySeconds: delaySeconds
+    ...result,
+    interrupt: !result.hasDelay && durationParser.isDelayInterrupt(text)
   };
 }
 
-// Create a delay for a session
-function createDelay(sessionId, delaySeconds) {
-  const now = moment();
-  const delayUntil = moment().add(delaySeconds, 'seconds');
-  
-  const delay = {
-    sessionId,
-    delaySeconds,
-    startTime: now.valueOf(),
-    endTime: delayUntil.valueOf(),
-    isActive: true
-  };
+// Each session has a queue of delays, stored as { sessionId, delays: [...] }.
+// A delay asked for while another is running starts when the last one ends,
+// and each one publishes a delay.completed event carrying its message when it
+// runs out. Finished delays are kept briefly for reporting.
+const MAX_FINISHED_DELAYS = 10;
+
+// In-process timers that deliver a delay's message right when it ends,
+// rather than on the next housekeeping pass
+const deliveryTimers = new Map();
+
+const isPending = (delay) => !delay.completedAt && !delay.cancelledAt;
+
+const loadQueue = async (sessionId) =>
+  (await getSessionStore().get(DELAYS, sessionId)) || { sessionId, delays: [] };
+
+// Save the queue, dropping old finished delays and keeping it until the last
+// pending delay ends plus the retention period
+const saveQueue = async (queue) => {
+  const pending = queue.delays.filter(isPending);
+  const finished = queue.delays.filter(delay => !isPending(delay)).slice(-MAX_FINISHED_DELAYS);
+  const lastEnd = pending.reduce((latest, delay) => Math.max(latest, delay.endTime), Date.now());
   
-  pendingDelays.set(sessionId, delay);
-  console.log(`Created delay for session ${sessionId}: ${delaySeconds} seconds`);
+  queue.delays = [...finished, ...pending];
+  await getSessionStore().set(DELAYS, queue.sessionId, queue, {
+    ttlMs: lastEnd - Date.now() + DELAY_RETENTION_MS
+  });
+  return queue;
+};
+
+// Report a delay with isActive reflecting whether it's running right now
+const describeDelay = (delay, now = moment().valueOf()) => ({
+  ...delay,
+  isActive: isPending(delay) && delay.startTime <= now && now < delay.endTime
+});
+
+const scheduleDelivery = (sessionId, endTime) => {
+  clearTimeout(deliveryTimers.get(sessionId));
+  const timer = setTimeout(() => {
+    deliveryTimers.delete(sessionId);
+    processExpiredDelays(sessionId).catch(error => {
+      logger.error('Error delivering delay', { sessionId, error });
+    });
+  }, Math.max(0, endTime - Date.now()));
   
-  return delay;
-}
+  // Don't keep the process alive just for a delay
+  if (timer.unref) {
+    timer.unref();
+  }
+  deliveryTimers.set(sessionId, timer);
+};
 
-// Check if session has active delay
-function hasActiveDelay(sessionId) {
-  if (!pendingDelays.has(sessionId)) {
-    return false;
+// Schedule the timer for whichever pending delay ends next
+const scheduleNextDelivery = (queue) => {
+  const next = queue.delays.filter(isPending).sort((a, b) => a.endTime - b.endTime)[0];
+  if (next) {
+    scheduleDelivery(queue.sessionId, next.endTime);
+  } else {
+    clearTimeout(deliveryTimers.get(queue.sessionId));
+    deliveryTimers.delete(queue.sessionId);
   }
+};
+
+// Mark pending delays cancelled and tell the session; returns the cancelled delays
+const cancelPending = async (queue, reason) => {
+  const now = moment().valueOf();
+  const cancelled = [];
   
-  const delay = pendingDelays.get(sessionId);
-  if (!delay.isActive) {
-    return false;
-  }
+  queue.delays.forEach(delay => {
+    if (isPending(delay)) {
+      delay.cancelledAt = now;
+      delay.cancelReason = reason;
+      cancelled.push(delay);
+    }
+  });
   
-  const now = moment().valueOf();
-  if (now >= delay.endTime) {
-    // Delay has expired
-    delay.isActive = false;
-    pendingDelays.set(sessionId, delay);
-    return false;
+  if (cancelled.length > 0) {
+    await publishEvent(queue.sessionId, 'delay.cancelled', {
+      delays: cancelled.map(delay => describeDelay(delay, now)),
+      reason
+    });
   }
-  
-  // Delay is still active
-  return true;
-}
+  return cancelled;
+};
 
-// Get remaining delay time
-function getRemainingDelayTime(sessionId) {
-  if (!pendingDelays.has(sessionId)) {
-    return 0;
+// Create a delay for a session. It's queued behind any delay already running
+// unless options.replace is set, which cancels the existing ones first.
+async function createDelay(sessionId, delaySeconds, options = {}) {
+  const now = moment().valueOf();
+  const queue = await loadQueue(sessionId);
+  
+  if (options.replace) {
+    await cancelPending(queue, 'replaced');
   }
   
-  const delay = pendingDelays.get(sessionId);
-  if (!delay.isActive) {
-    return 0;
+  const pending = queue.delays.filter(isPending);
+  const startTime = pending.reduce((latest, delay) => Math.max(latest, delay.endTime), now);
+  
+  const delay = {
+    id: uuidv4(),
+    sessionId,
+    delaySeconds,
+    startTime,
+    endTime: moment(startTime).add(delaySeconds, 'seconds').valueOf(),
+    createdAt: now,
+    queuePosition: pending.length
+  };
+  
+  // Store the message that will be sent after the delay
+  if (options.message) {
+    delay.message = options.message;
   }
   
+  queue.delays.push(delay);
+  await saveQueue(queue);
+  scheduleNextDelivery(queue);
+  logger.info('Created delay', { sessionId, delaySeconds, queuedBehind: pending.length });
+  
+  return describeDelay(delay, now);
+}
+
+// Pending delays for a session, in the order they run
+async function getDelayQueue(sessionId) {
   const now = moment().valueOf();
-  if (now >= delay.endTime) {
-    // Delay has expired
-    delay.isActive = false;
-    pendingDelays.set(sessionId, delay);
+  const queue = await loadQueue(sessionId);
+  return queue.delays
+    .filter(delay => isPending(delay) && delay.endTime > now)
+    .map(delay => describeDelay(delay, now));
+}
+
+// The session's stored delay queue, finished delays included, or null
+async function getDelayRecord(sessionId) {
+  return getSessionStore().get(DELAYS, sessionId);
+}
+
+// Check if session has active delay
+async function hasActiveDelay(sessionId) {
+  return (await getDelayQueue(sessionId)).length > 0;
+}
+
+// Get remaining delay time, until the last queued delay ends
+async function getRemainingDelayTime(sessionId) {
+  const delays = await getDelayQueue(sessionId);
+  if (delays.length === 0) {
     return 0;
   }
   
   // Calculate remaining time in seconds
-  return Math.ceil((delay.endTime - now) / 1000);
+  const lastEnd = Math.max(...delays.map(delay => delay.endTime));
+  return Math.ceil((lastEnd - moment().valueOf()) / 1000);
 }
 
-// Clear delay for a session
-function clearDelay(sessionId) {
-  if (pendingDelays.has(sessionId)) {
-    pendingDelays.delete(sessionId);
-    return true;
+// Clear all delays for a session, e.g. when the user says "never mind,
+// answer now". Pending delays are cancelled with a delay.cancelled event
+// unless options.notify is false. Returns { cleared, cancelled }.
+async function clearDelay(sessionId, options = {}) {
+  const { notify = true, reason = 'cancelled' } = options;
+  const queue = await getSessionStore().get(DELAYS, sessionId);
+  
+  const cancelled = queue && notify ? await cancelPending(queue, reason) : [];
+  clearTimeout(deliveryTimers.get(sessionId));
+  deliveryTimers.delete(sessionId);
+  
+  const cleared = await getSessionStore().delete(DELAYS, sessionId);
+  return { cleared: Boolean(queue) && cleared, cancelled };
+}
+
+// Mark delays that have run out as completed and push a delay.completed event
+// with their message to the session. Runs from the server's housekeeping loop
+// and from the delivery timers; pass a sessionId to check only that session.
+async function processExpiredDelays(sessionId) {
+  const now = moment().valueOf();
+  const queues = sessionId
+    ? [await getSessionStore().get(DELAYS, sessionId)].filter(Boolean)
+    : (await getSessionStore().list(DELAYS)).map(entry => entry.value);
+  const completed = [];
+  
+  for (const queue of queues) {
+    const expired = queue.delays.filter(delay => isPending(delay) && now >= delay.endTime);
+    if (expired.length === 0) {
+      continue;
+    }
+    
+    expired.forEach(delay => {
+      delay.completedAt = now;
+    });
+    await saveQueue(queue);
+    
+    for (const delay of expired) {
+      const finished = describeDelay(delay, now);
+      await publishEvent(queue.sessionId, 'delay.completed', {
+        delay: finished,
+        message: delay.message || null
+      }, {
+        dedupeKey: `delay:${queue.sessionId}:${delay.id}`
+      });
+      completed.push(finished);
+    }
+    
+    scheduleNextDelivery(queue);
   }
-  return false;
+  
+  return completed;
 }
 
 module.exports = {
   processDelayInstructions,
+  getMaxDelaySeconds,
   createDelay,
+  getDelayQueue,
+  getDelayRecord,
   hasActiveDelay,
   getRemainingDelayTime,
-  clearDelay
-};
\ No newline at end of file
+  clearDelay,
+  processExpiredDelays
+};
@@ -0,0 +1,397 @@
+// Finds spoken durations ("two minutes", "1 minute 30 seconds", "ek minute",
+// "dedh ghanta", "पाँच सेकंड") in English, Hinglish and Devanagari Hindi, and
+// recognises the phrasing around them that asks for a delay ("wait two
+// minutes", "ek minute ruko") or a relative reminder ("remind me in an hour
+// to ...", "10 minute baad dawai lena yaad dila dena").
+//
+// Each language is a locale entry in a pattern table; registerLocale adds or
+// extends one. Both delay-handler.js and reminder-parser.js read from it.
+
+const locales = {};
+
+// Register a locale, or merge more words and patterns into an existing one:
+//   numbers        word -> value; multi-word keys ("half an") are allowed
+//   multipliers    word -> factor applied to the number before it ("hundred")
+//   prefixes       word -> amount added to the number after it ("saadhe")
+//   units          word -> seconds
+//   joiners        words that link parts of a compound duration ("and", "aur")
+//   articles       number words that only mean "one" loosely ("a", "an")
+//   fillers        words allowed around a bare duration ("just", "bas")
+//   delayPatterns  [{ before?, after? }] tested on the text around a duration
+//   reminderPatterns  [{ before?, after?, task }] where `task` is the group
+//                  of the `after` match holding the reminder task
+//   reminderTrigger   regex marking a message as a reminder request
+//   interruptPatterns regexes for calling off a delay ("never mind, answer now")
+const registerLocale = (name, table) => {
+  const existing = locales[name] || {};
+  const merged = { ...existing };
+
+  // Words are compared in NFC form, as Devanagari nukta letters have two spellings
+  ['numbers', 'multipliers', 'prefixes', 'units'].forEach(key => {
+    merged[key] = { ...(existing[key] || {}) };
+    Object.entries(table[key] || {}).forEach(([word, value]) => {
+      merged[key][word.normalize('NFC')] = value;
+    });
+  });
+  ['joiners', 'articles', 'fillers'].forEach(key => {
+    merged[key] = [...(existing[key] || []), ...(table[key] || []).map(word => word.normalize('NFC'))];
+  });
+  ['delayPatterns', 'reminderPatterns', 'interruptPatterns'].forEach(key => {
+    merged[key] = [...(existing[key] || []), ...(table[key] || [])];
+  });
+  merged.reminderTrigger = table.reminderTrigger || existing.reminderTrigger || null;
+
+  locales[name] = merged;
+  return merged;
+};
+
+const getLocales = () => Object.values(locales);
+
+// Look a word up across every registered locale
+const lookup = (key, word) => {
+  for (const locale of getLocales()) {
+    if (locale[key][word] !== undefined) {
+      return locale[key][word];
+    }
+  }
+  return undefined;
+};
+
+const inList = (key, word) => getLocales().some(locale => locale[key].includes(word));
+
+const MAX_NUMBER_WORDS = 3;
+
+registerLocale('en', {
+  numbers: {
+    a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+    ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+    seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50,
+    sixty: 60, seventy: 70, eighty: 80, ninety: 90, couple: 2, 'a couple of': 2, few: 3, 'a few': 3,
+    half: 0.5, 'half a': 0.5, 'half an': 0.5, 'a half': 0.5
+  },
+  multipliers: { hundred: 100 },
+  units: {
+    s: 1, sec: 1, secs: 1, second: 1, seconds: 1,
+    min: 60, mins: 60, minute: 60, minutes: 60,
+    hr: 3600, hrs: 3600, hour: 3600, hours: 3600
+  },
+  joiners: ['and', 'plus'],
+  articles: ['a', 'an'],
+  fillers: ['just', 'only', 'please', 'like', 'about', 'around', 'another', 'more', 'okay', 'ok'],
+  delayPatterns: [
+    // "wait for 5 seconds", "hold on two minutes", "give me a couple of minutes"
+    { before: /\b(?:wait|pause|hold(?:\s+on)?|hang\s+on|give\s+me|stop)(?:\s+(?:for|about|around|like|another|just))*[\s,]*$/i },
+    // "delay response by 10 seconds"
+    { before: /\bdelay(?:\s+(?:your|the))?(?:\s+(?:response|reply|answer))?\s+(?:by|for)\s*$/i },
+    // "answer me in 30 seconds", "reply after a minute"
+    { before: /\b(?:respond|reply|answer|talk|speak)(?:\s+(?:to\s+)?me)?\s+(?:in|after)\s*$/i }
+  ],
+  reminderTrigger: /\bremind me\b/i,
+  interruptPatterns: [
+    /\bnever\s*mind\b/i,
+    /\bforget\s+(?:it|that|the\s+wait)\b/i,
+    /\b(?:answer|respond|reply|tell\s+me|talk|speak)\s+(?:me\s+)?(?:right\s+)?now\b/i,
+    /\b(?:don'?t|no\s+need\s+to)\s+wait\b/i,
+    /\b(?:stop|cancel)\s+(?:the\s+|that\s+)?(?:wait(?:ing)?|delay|timer)\b/i,
+    /\bgo\s+ahead\b/i
+  ],
+  reminderPatterns: [
+    // "remind me in X to [task]"
+    { before: /\bremind\s+me\s+(?:in|after)\s*$/i, after: /^\s*(?:from\s+now\s+)?(?:to|that|about)\s+(.+)$/i, task: 1 },
+    // "in X remind me to [task]"
+    { before: /\b(?:in|after)\s*$/i, after: /^[\s,]*remind\s+me\s+(?:to|that|about)\s+(.+)$/i, task: 1 }
+  ]
+});
+
+registerLocale('hi', {
+  numbers: {
+    // Hinglish
+    ek: 1, do: 2, teen: 3, char: 4, chaar: 4, paanch: 5, panch: 5, chhe: 6, chhah: 6, chah: 6,
+    saat: 7, aath: 8, nau: 9, das: 10, dus: 10, gyarah: 11, barah: 12, baarah: 12, terah: 13,
+    chaudah: 14, pandrah: 15, solah: 16, satrah: 17, atharah: 18, unnees: 19,
+    bees: 20, pachees: 25, pachchees: 25, tees: 30, chalis: 40, chaalis: 40, paintalis: 45,
+    pachas: 50, pachaas: 50, saath: 60,
+    aadha: 0.5, aadhe: 0.5, adha: 0.5, dedh: 1.5, dhai: 2.5, dhaai: 2.5,
+    // Devanagari
+    'एक': 1, 'दो': 2, 'तीन': 3, 'चार': 4, 'पांच': 5, 'पाँच': 5, 'छह': 6, 'छः': 6, 'सात': 7,
+    'आठ': 8, 'नौ': 9, 'दस': 10, 'ग्यारह': 11, 'बारह': 12, 'तेरह': 13, 'चौदह': 14, 'पंद्रह': 15,
+    'सोलह': 16, 'सत्रह': 17, 'अठारह': 18, 'उन्नीस': 19, 'बीस': 20, 'पच्चीस': 25, 'तीस': 30,
+    'चालीस': 40, 'पैंतालीस': 45, 'पचास': 50, 'साठ': 60,
+    'आधा': 0.5, 'आधे': 0.5, 'डेढ़': 1.5, 'ढाई': 2.5
+  },
+  multipliers: { sau: 100, 'सौ': 100 },
+  prefixes: {
+    saadhe: 0.5, sadhe: 0.5, sava: 0.25, sawa: 0.25, paune: -0.25,
+    'साढ़े': 0.5, 'सवा': 0.25, 'पौने': -0.25
+  },
+  units: {
+    second: 1, seconds: 1, sekand: 1, sekend: 1, sec: 1,
+    minute: 60, minutes: 60, minat: 60, mint: 60, min: 60,
+    ghanta: 3600, ghante: 3600, ghanton: 3600,
+    'सेकंड': 1, 'सेकेंड': 1, 'सेकण्ड': 1, 'मिनट': 60, 'मिनिट': 60, 'घंटा': 3600, 'घंटे': 3600, 'घंटों': 3600
+  },
+  joiners: ['aur', 'और'],
+  fillers: ['bas', 'sirf', 'please', 'ji', 'zara', 'thoda', 'बस', 'सिर्फ', 'जी', 'ज़रा', 'जरा', 'थोड़ा'],
+  delayPatterns: [
+    // "5 second ruko", "do minute ke liye ruk jao", "ek minute wait karo"
+    { after: /^\s*(?:(?:ke\s+)?(?:liye|tak)\s+)?(?:ruko|ruk\s+jao|rukiye|ruk\s+jaiye|rukna|thehro|thahro|wait\s+karo|wait\s+kijiye|intezaar\s+karo|intazar\s+karo)\b/i },
+    // "10 second ke baad jawab do"
+    { after: /^\s*(?:ke\s+)?baad\s+(?:jawab|jawaab|reply)\s+(?:do|dena|dijiye)\b/i },
+    // "ruko do minute"
+    { before: /\b(?:ruko|ruk\s+jao|rukiye|thehro)[\s,]*$/i },
+    // "पाँच सेकंड रुको", "दो मिनट के लिए रुक जाओ"
+    { after: /^\s*(?:(?:के\s+)?(?:लिए|तक)\s+)?(?:रुको|रुक\s+जाओ|रुकिए|रुकिये|ठहरो|इंतज़ार\s+करो|इंतजार\s+करो)/u },
+    // "दस सेकंड के बाद जवाब दो"
+    { after: /^\s*(?:के\s+)?बाद\s+जवाब\s+(?:दो|देना|दीजिए)/u },
+    // "रुको दो मिनट"
+    { before: /(?:रुको|रुकिए|ठहरो)[\s,]*$/u }
+  ],
+  interruptPatterns: [
+    /\b(?:koi\s+baat\s+nahi|rehne\s+do|rahne\s+do|chhodo|chodo)\b/i,
+    /\b(?:abhi|ab)\s+(?:batao|bolo|jawab\s+do|bataiye|boliye)\b/i,
+    /\b(?:mat|nahi)\s+ruko\b/i,
+    /(?:कोई\s+बात\s+नहीं|रहने\s+दो|छोड़ो|(?:अभी|अब)\s+(?:बताओ|बोलो|जवाब\s+दो)|मत\s+रुको)/u
+  ],
+  reminderTrigger: /\byaad dila(?:na|o|\s*dena|\s*do)\b|याद\s*दिला/iu,
+  reminderPatterns: [
+    // "X ke baad yaad dila dena [task]"
+    { after: /^\s*(?:ke\s+)?baad\s+yaad\s+dila\s*(?:dena|do|na|o)\s+(.+)$/i, task: 1 },
+    // "X baad [task] yaad dila dena"
+    { after: /^\s*(?:ke\s+)?baad\s+(.+?)\s+yaad\s+dila\s*(?:dena|do|na|o)\s*[.!?]*$/i, task: 1 },
+    // "X बाद याद दिला देना [task]"
+    { after: /^\s*(?:के\s+)?बाद\s+याद\s+दिला\s*(?:देना|दो|ना)\s+(.+)$/u, task: 1 },
+    // "X बाद [task] याद दिला देना"
+    { after: /^\s*(?:के\s+)?बाद\s+(.+?)\s+याद\s+दिला\s*(?:देना|दो|ना)\s*[।.!?]*$/u, task: 1 }
+  ]
+});
+
+// Devanagari digits have the same length as ASCII ones, so offsets survive
+const toAsciiDigits = (text) => text.replace(/[०-९]/g, digit => String(digit.charCodeAt(0) - 0x0966));
+
+// Split text into lowercased words and numbers, remembering where each came
+// from. "5min" becomes "5" and "min".
+const tokenize = (text) => {
+  const tokens = [];
+  const pattern = /\d+(?:\.\d+)?|[\p{L}\p{M}]+/gu;
+  const source = toAsciiDigits(text);
+  let match;
+
+  while ((match = pattern.exec(source)) !== null) {
+    tokens.push({
+      word: match[0].normalize('NFC').toLowerCase(),
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+
+  return tokens;
+};
+
+// Read a number starting at token i: digits, or up to MAX_NUMBER_WORDS words
+// that add up ("twenty five"), scale ("two hundred") or carry a prefix ("saadhe teen")
+const readQuantity = (tokens, i) => {
+  let index = i;
+  let offset = 0;
+  if (tokens[index] && lookup('prefixes', tokens[index].word) !== undefined) {
+    offset = lookup('prefixes', tokens[index].word);
+    index += 1;
+  }
+  if (!tokens[index]) {
+    return null;
+  }
+
+  if (/^\d+(?:\.\d+)?$/.test(tokens[index].word)) {
+    return { value: parseFloat(tokens[index].word) + offset, next: index + 1, loose: false };
+  }
+
+  let value = null;
+  let loose = false;
+  while (tokens[index]) {
+    // Prefer the longest multi-word number ("a couple of" over "a")
+    let matched = null;
+    for (let length = MAX_NUMBER_WORDS; length >= 1 && !matched; length--) {
+      const phrase = tokens.slice(index, index + length).map(token => token.word).join(' ');
+      if (index + length <= tokens.length && lookup('numbers', phrase) !== undefined) {
+        matched = { value: lookup('numbers', phrase), length, phrase };
+      }
+    }
+
+    if (matched) {
+      if (value !== null && matched.value >= value) {
+        break;
+      }
+      value = (value || 0) + matched.value;
+      loose = loose || inList('articles', matched.phrase);
+      index += matched.length;
+      continue;
+    }
+
+    const multiplier = lookup('multipliers', tokens[index].word);
+    if (multiplier !== undefined && value !== null) {
+      value *= multiplier;
+      index += 1;
+      continue;
+    }
+    break;
+  }
+
+  if (value === null) {
+    return null;
+  }
+
+  // "one and a half"
+  if (tokens[index + 1] && inList('joiners', tokens[index].word)) {
+    for (let length = MAX_NUMBER_WORDS; length >= 1; length--) {
+      const phrase = tokens.slice(index + 1, index + 1 + length).map(token => token.word).join(' ');
+      const fraction = lookup('numbers', phrase);
+      if (index + 1 + length <= tokens.length && fraction !== undefined && fraction < 1 &&
+          readUnit(tokens, index + 1 + length)) {
+        value += fraction;
+        index += 1 + length;
+        break;
+      }
+    }
+  }
+
+  return { value: value + offset, next: index, loose };
+};
+
+const readUnit = (tokens, i) => {
+  const seconds = tokens[i] ? lookup('units', tokens[i].word) : undefined;
+  return seconds === undefined ? null : { seconds, next: i + 1 };
+};
+
+// Every duration in the text, as { seconds, start, end, loose }. Parts of a
+// compound duration ("1 minute 30 seconds", "do ghante aur das minute",
+// "an hour and a half") are added together. `loose` marks durations whose
+// only number is an article, as in "wait a minute".
+const findDurations = (text) => {
+  const tokens = tokenize(text || '');
+  const durations = [];
+  let i = 0;
+
+  while (i < tokens.length) {
+    const quantity = readQuantity(tokens, i);
+    const unit = quantity && readUnit(tokens, quantity.next);
+    if (!unit) {
+      i += 1;
+      continue;
+    }
+
+    let seconds = quantity.value * unit.seconds;
+    let loose = quantity.loose;
+    let lastUnit = unit.seconds;
+    let next = unit.next;
+
+    while (next < tokens.length) {
+      const partStart = tokens[next] && inList('joiners', tokens[next].word) ? next + 1 : next;
+      const part = readQuantity(tokens, partStart);
+      if (!part) {
+        break;
+      }
+      const partUnit = readUnit(tokens, part.next);
+
+      if (partUnit) {
+        seconds += part.value * partUnit.seconds;
+        lastUnit = partUnit.seconds;
+        next = partUnit.next;
+      } else if (partStart > next && part.value < 1) {
+        // "an hour and a half": a trailing fraction of the last unit
+        seconds += part.value * lastUnit;
+        next = part.next;
+      } else {
+        break;
+      }
+      loose = loose && part.loose;
+    }
+
+    durations.push({
+      seconds: Math.round(seconds),
+      start: tokens[i].start,
+      end: tokens[next - 1].end,
+      loose
+    });
+    i = next;
+  }
+
+  return durations;
+};
+
+// Text before and after a duration, for matching the patterns around it
+const surroundings = (text, duration) => ({
+  before: text.slice(0, duration.start).normalize('NFC'),
+  after: text.slice(duration.end).normalize('NFC')
+});
+
+const matchesAround = (pattern, { before, after }) =>
+  (!pattern.before || pattern.before.test(before)) && (!pattern.after || pattern.after.test(after));
+
+// A message that is nothing but a duration ("paanch second", "just two minutes")
+const isBareDuration = ({ before, after }) =>
+  tokenize(`${before} ${after}`).every(token => inList('fillers', token.word));
+
+// Returns { hasDelay, delaySeconds, requestedSeconds, capped }. Durations above
+// maxSeconds are cut down to it.
+const parseDelayInstruction = (text, { maxSeconds = Infinity } = {}) => {
+  for (const duration of findDurations(text)) {
+    // "wait a minute" is usually an interjection rather than a request to pause
+    if (duration.loose || duration.seconds <= 0) {
+      continue;
+    }
+
+    const around = surroundings(text, duration);
+    const isDelay = isBareDuration(around) ||
+      getLocales().some(locale => locale.delayPatterns.some(pattern => matchesAround(pattern, around)));
+
+    if (isDelay) {
+      return {
+        hasDelay: true,
+        delaySeconds: Math.min(duration.seconds, maxSeconds),
+        requestedSeconds: duration.seconds,
+        capped: duration.seconds > maxSeconds
+      };
+    }
+  }
+
+  return { hasDelay: false, delaySeconds: 0, requestedSeconds: 0, capped: false };
+};
+
+// "remind me in two hours to call mom" -> { task, durationInSeconds }, or null
+const parseRelativeReminder = (text) => {
+  for (const duration of findDurations(text)) {
+    if (duration.seconds <= 0) {
+      continue;
+    }
+
+    const around = surroundings(text, duration);
+    for (const locale of getLocales()) {
+      for (const pattern of locale.reminderPatterns) {
+        if (!matchesAround(pattern, around)) {
+          continue;
+        }
+        const task = around.after.match(pattern.after)[pattern.task].trim();
+        if (task) {
+          return { task, durationInSeconds: duration.seconds };
+        }
+      }
+    }
+  }
+
+  return null;
+};
+
+// "never mind, answer now", "koi baat nahi, abhi batao", "रहने दो"
+const isDelayInterrupt = (text) => getLocales()
+  .some(locale => locale.interruptPatterns.some(pattern => pattern.test(text || '')));
+
+const hasReminderTrigger = (text) => getLocales()
+  .some(locale => locale.reminderTrigger && locale.reminderTrigger.test(text || ''));
+
+module.exports = {
+  registerLocale,
+  findDurations,
+  parseDelayInstruction,
+  parseRelativeReminder,
+  isDelayInterrupt,
+  hasReminderTrigger
+};
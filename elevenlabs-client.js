@@ -0,0 +1,41 @@
+const { UpstreamElevenLabsError } = require('./errors');
+
+// Thin client for the ElevenLabs Conversational AI API. The base URL is
+// configurable so local development and tests can point it at a mock server.
+// Failures, including ElevenLabs being unreachable, throw UpstreamElevenLabsError.
+
+const getBaseUrl = () => (process.env.ELEVENLABS_API_URL || 'https://api.elevenlabs.io').replace(/\/+$/, '');
+
+// Get a signed WebSocket URL for a conversation with the given agent
+async function getSignedUrl(agentId) {
+  let response;
+  try {
+    response = await fetch(
+      `${getBaseUrl()}/v1/convai/conversation/get_signed_url?agent_id=${encodeURIComponent(agentId)}`,
+      {
+        method: "GET",
+        headers: {
+          "xi-api-key": process.env.XI_API_KEY,
+        },
+      }
+    );
+  } catch (error) {
+    throw new UpstreamElevenLabsError('Could not reach ElevenLabs', { cause: error });
+  }
+
+  if (!response.ok) {
+    throw new UpstreamElevenLabsError(`ElevenLabs refused the signed URL request (status ${response.status})`, {
+      upstreamStatus: response.status
+    });
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (!data.signed_url) {
+    throw new UpstreamElevenLabsError('ElevenLabs returned no signed URL', { upstreamStatus: response.status });
+  }
+  return data.signed_url;
+}
+
+module.exports = {
+  getSignedUrl
+};
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+
+// Verification and parsing for ElevenLabs post-call webhooks. ElevenLabs signs
+// each delivery with an "ElevenLabs-Signature: t=<unix seconds>,v0=<hex>"
+// header, where the hex is an HMAC-SHA256 of "<t>.<raw body>" using the
+// webhook secret from the ElevenLabs dashboard (ELEVENLABS_WEBHOOK_SECRET).
+
+// Deliveries older than this are rejected so a captured request can't be replayed later
+const getToleranceSeconds = () => parseInt(process.env.ELEVENLABS_WEBHOOK_TOLERANCE_SECONDS, 10) || 30 * 60;
+
+// Returns null when the signature is valid, otherwise the reason it isn't
+function verifySignature(rawBody, signatureHeader, secret = process.env.ELEVENLABS_WEBHOOK_SECRET) {
+  if (!secret) {
+    return 'Webhook secret is not configured';
+  }
+  if (!rawBody || !signatureHeader) {
+    return 'Missing signature';
+  }
+
+  const parts = {};
+  signatureHeader.split(',').forEach(part => {
+    const [key, value] = part.split('=');
+    if (key && value) {
+      parts[key.trim()] = value.trim();
+    }
+  });
+
+  const timestamp = parseInt(parts.t, 10);
+  if (!Number.isFinite(timestamp) || !parts.v0) {
+    return 'Malformed signature';
+  }
+  if (Math.abs(Date.now() / 1000 - timestamp) > getToleranceSeconds()) {
+    return 'Signature timestamp outside tolerance';
+  }
+
+  const expected = crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.${rawBody.toString('utf8')}`)
+    .digest('hex');
+
+  if (expected.length !== parts.v0.length ||
+      !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(parts.v0))) {
+    return 'Signature mismatch';
+  }
+
+  return null;
+}
+
+// Key identifying one delivery, so retries of the same event are recognised
+const getDeliveryKey = (payload) => {
+  const data = payload.data || {};
+  return `${payload.type}:${data.conversation_id || 'unknown'}:${payload.event_timestamp || ''}`;
+};
+
+// Our session and user IDs travel with the call as dynamic variables
+// (see /api/signed-url), and come back in the webhook payload
+const getSessionReference = (payload) => {
+  const data = payload.data || {};
+  const clientData = data.conversation_initiation_client_data || {};
+  const variables = clientData.dynamic_variables || {};
+
+  return {
+    conversationId: data.conversation_id || null,
+    agentId: data.agent_id || null,
+    sessionId: variables.session_id || null,
+    userId: variables.user_id || null
+  };
+};
+
+// Convert the ElevenLabs transcript into our chat message format. Message ids
+// are derived from the conversation and turn, which makes re-ingesting the
+// same transcript a no-op in the conversation log.
+const transcriptToMessages = (payload) => {
+  const data = payload.data || {};
+  const startTime = data.metadata && data.metadata.start_time_unix_secs
+    ? data.metadata.start_time_unix_secs * 1000
+    : Date.now();
+
+  return (data.transcript || [])
+    .filter(turn => turn && typeof turn.message === 'string' && turn.message.trim())
+    .map((turn, index) => ({
+      id: `${data.conversation_id}:${index}`,
+      role: turn.role === 'agent' ? 'assistant' : 'user',
+      content: turn.message,
+      timestamp: startTime + Math.round((turn.time_in_call_secs || 0) * 1000)
+    }));
+};
+
+// Length of the call in seconds, or null if ElevenLabs didn't report it
+const getCallDurationSeconds = (payload) => {
+  const metadata = (payload.data && payload.data.metadata) || {};
+  return Number.isFinite(metadata.call_duration_secs) ? metadata.call_duration_secs : null;
+};
+
+module.exports = {
+  verifySignature,
+  getDeliveryKey,
+  getSessionReference,
+  transcriptToMessages,
+  getCallDurationSeconds
+};
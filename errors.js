@@ -0,0 +1,83 @@
+const logger = require('./logger');
+
+// Application errors and the HTTP status each one maps to. Modules throw
+// these instead of returning placeholder results, and route handlers pass
+// whatever they catch to sendError, which answers with the error's status and
+// code. Anything that isn't an AppError is a bug and becomes a 500.
+
+class AppError extends Error {
+  constructor(message, { status = 500, code = 'internal_error', details = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class SessionNotFound extends AppError {
+  constructor(sessionId, message = 'Session not found') {
+    super(message, { status: 404, code: 'session_not_found', details: { sessionId } });
+  }
+}
+
+class MemoryNotFound extends AppError {
+  constructor(memoryId) {
+    super('Memory not found', { status: 404, code: 'memory_not_found', details: { memoryId } });
+  }
+}
+
+class ReminderNotFound extends AppError {
+  constructor(reminderId, message = 'Reminder not found') {
+    super(message, { status: 404, code: 'reminder_not_found', details: { reminderId } });
+  }
+}
+
+// The memory backend (mem0, or the local file) couldn't be reached or failed
+class MemoryUnavailable extends AppError {
+  constructor(message = 'Memory is unavailable', { cause } = {}) {
+    super(message, { status: 503, code: 'memory_unavailable', cause });
+  }
+}
+
+// ElevenLabs refused or failed a request; upstreamStatus is its HTTP status,
+// or null when it couldn't be reached at all
+class UpstreamElevenLabsError extends AppError {
+  constructor(message, { upstreamStatus = null, cause } = {}) {
+    super(message, { status: 502, code: 'upstream_elevenlabs_error', details: { upstreamStatus }, cause });
+  }
+}
+
+// Answer a failed request. The body always carries the request ID, so a
+// client report can be matched to the server's log lines.
+const sendError = (res, error, fallbackMessage = 'Internal server error') => {
+  const typed = error instanceof AppError;
+  const status = typed ? error.status : 500;
+
+  // Expected failures such as a missing session aren't worth a stack trace
+  if (status >= 500) {
+    logger.error(typed ? error.message : fallbackMessage, { error });
+  } else {
+    logger.info(error.message, { code: error.code, status });
+  }
+
+  // A stream that already started can only be closed
+  if (res.headersSent) {
+    return res.end();
+  }
+  return res.status(status).json({
+    error: typed ? error.message : fallbackMessage,
+    code: typed ? error.code : 'internal_error',
+    requestId: res.get('X-Request-Id')
+  });
+};
+
+module.exports = {
+  AppError,
+  SessionNotFound,
+  MemoryNotFound,
+  ReminderNotFound,
+  MemoryUnavailable,
+  UpstreamElevenLabsError,
+  sendError
+};
@@ -0,0 +1,145 @@
+const { getSessionStore, getSessionTtlMs } = require('./session-store');
+const logger = require('./logger');
+
+// Per-session event log pushed to clients over Server-Sent Events. Events are
+// kept in the shared session store with increasing ids, so a client that
+// reconnects with Last-Event-ID gets everything it missed, even when it lands
+// on a different instance than the one that published the event.
+const EVENTS = 'events';
+
+const getNumberSetting = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const settings = {
+  bufferSize: getNumberSetting('EVENT_BUFFER_SIZE', 100),
+  pollIntervalMs: getNumberSetting('EVENT_POLL_INTERVAL_MS', 2000),
+  heartbeatMs: getNumberSetting('EVENT_HEARTBEAT_MS', 25000),
+  retryMs: getNumberSetting('EVENT_RETRY_MS', 3000)
+};
+
+// Live listeners on this instance, keyed by sessionId
+const subscribers = new Map();
+
+async function getEventLog(sessionId) {
+  const log = await getSessionStore().get(EVENTS, sessionId);
+  return log || { lastId: 0, events: [] };
+}
+
+// Append an event and notify live listeners. Events with a dedupeKey that is
+// already in the log are dropped, which makes retried deliveries idempotent.
+async function publishEvent(sessionId, type, data = {}, options = {}) {
+  const log = await getEventLog(sessionId);
+
+  if (options.dedupeKey && log.events.some(event => event.dedupeKey === options.dedupeKey)) {
+    return null;
+  }
+
+  const event = {
+    id: log.lastId + 1,
+    type,
+    sessionId,
+    data,
+    createdAt: Date.now()
+  };
+  if (options.dedupeKey) {
+    event.dedupeKey = options.dedupeKey;
+  }
+
+  await getSessionStore().set(EVENTS, sessionId, {
+    lastId: event.id,
+    events: [...log.events, event].slice(-settings.bufferSize)
+  }, { ttlMs: getSessionTtlMs() });
+
+  (subscribers.get(sessionId) || []).forEach(listener => {
+    try {
+      listener(event);
+    } catch (error) {
+      logger.error('Error notifying event listener', { sessionId, error });
+    }
+  });
+
+  return event;
+}
+
+async function getEventsSince(sessionId, lastEventId = 0) {
+  const log = await getEventLog(sessionId);
+  return log.events.filter(event => event.id > lastEventId);
+}
+
+async function clearEvents(sessionId) {
+  return getSessionStore().delete(EVENTS, sessionId);
+}
+
+function subscribe(sessionId, listener) {
+  if (!subscribers.has(sessionId)) {
+    subscribers.set(sessionId, []);
+  }
+  subscribers.get(sessionId).push(listener);
+
+  return () => {
+    const listeners = (subscribers.get(sessionId) || []).filter(existing => existing !== listener);
+    if (listeners.length > 0) {
+      subscribers.set(sessionId, listeners);
+    } else {
+      subscribers.delete(sessionId);
+    }
+  };
+}
+
+const formatEvent = (event) => `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+
+// Stream a session's events to an Express response as Server-Sent Events.
+// Replays anything after lastEventId, then pushes live events and polls the
+// store so events published by other instances still arrive.
+async function streamEvents(req, res, sessionId, lastEventId = 0) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${settings.retryMs}\n\n`);
+
+  let lastSentId = lastEventId;
+  let closed = false;
+
+  const send = (event) => {
+    if (!closed && event.id > lastSentId) {
+      lastSentId = event.id;
+      res.write(formatEvent(event));
+    }
+  };
+
+  const catchUp = async () => {
+    const missed = await getEventsSince(sessionId, lastSentId);
+    missed.forEach(send);
+  };
+
+  const unsubscribe = subscribe(sessionId, send);
+  const pollTimer = setInterval(() => {
+    catchUp().catch(error => logger.error('Error polling events', { sessionId, error }));
+  }, settings.pollIntervalMs);
+  const heartbeatTimer = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, settings.heartbeatMs);
+
+  req.on('close', () => {
+    closed = true;
+    unsubscribe();
+    clearInterval(pollTimer);
+    clearInterval(heartbeatTimer);
+  });
+
+  await catchUp();
+}
+
+module.exports = {
+  publishEvent,
+  getEventsSince,
+  clearEvents,
+  subscribe,
+  streamEvents
+};
@@ -0,0 +1,77 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured logging: every line is one JSON object, e.g.
+//   {"time":"2026-10-19T07:51:45.295Z","level":"info","msg":"Stored conversation","requestId":"3f2...","userId":"u1"}
+// Fields set with withContext (the request ID for everything a request does,
+// see server.js) are added to every line logged inside it, including from
+// awaited calls, so one request's lines can be found together.
+// LOG_LEVEL picks the quietest level written: debug, info (default), warn or error.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const context = new AsyncLocalStorage();
+
+const getLevel = () => LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+
+// Errors don't survive JSON.stringify, so log what's useful about them
+const serializeError = (error) => {
+  if (!(error instanceof Error)) {
+    return error;
+  }
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code ? { code: error.code } : {}),
+    ...(error.status ? { status: error.status } : {}),
+    stack: error.stack,
+    ...(error.cause ? { cause: serializeError(error.cause) } : {})
+  };
+};
+
+const write = (level, msg, fields = {}) => {
+  if (LEVELS[level] < getLevel()) {
+    return;
+  }
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...(context.getStore() || {}),
+    ...fields
+  };
+  if (entry.error) {
+    entry.error = serializeError(entry.error);
+  }
+
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch (error) {
+    // Circular or otherwise unserialisable fields; keep the message at least
+    line = JSON.stringify({ time: entry.time, level, msg, ...(context.getStore() || {}), logError: error.message });
+  }
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+// A logger adding `bindings` to each line; child() adds more
+const createLogger = (bindings = {}) => ({
+  debug: (msg, fields) => write('debug', msg, { ...bindings, ...fields }),
+  info: (msg, fields) => write('info', msg, { ...bindings, ...fields }),
+  warn: (msg, fields) => write('warn', msg, { ...bindings, ...fields }),
+  error: (msg, fields) => write('error', msg, { ...bindings, ...fields }),
+  child: (extra) => createLogger({ ...bindings, ...extra })
+});
+
+// Run fn with fields added to every line logged while it runs
+const withContext = (fields, fn) => context.run({ ...(context.getStore() || {}), ...fields }, fn);
+
+// Fields of the context we're running in, e.g. { requestId }
+const getContext = () => context.getStore() || {};
+
+module.exports = {
+  ...createLogger(),
+  withContext,
+  getContext,
+  serializeError
+};
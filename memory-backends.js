@@ -0,0 +1,250 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./logger');
+
+// Every memory backend exposes the same interface as a mem0 Memory instance:
+//   add(messages, userId, metadata)    -> { id, ... }
+//   search(query, userId, limit)       -> [memory]
+//   get(memoryId)                      -> memory | null
+//   get_all(userId)                    -> [memory]
+//   update(memoryId, data)             -> memory
+//   delete(memoryId)                   -> boolean
+//   delete_all(userId)                 -> boolean
+//   history(memoryId)                  -> [revision]
+
+// mem0ai backed by Pinecone for vectors and OpenAI for extraction
+const createMem0Backend = (options = {}) => {
+  const { Memory } = require('mem0ai');
+
+  const config = {
+    vector_store: {
+      provider: "pinecone",
+      config: {
+        api_key: options.pineconeApiKey || process.env.PINECONE_API_KEY,
+        environment: options.pineconeEnvironment || process.env.PINECONE_ENVIRONMENT,
+        index: options.pineconeIndex || process.env.PINECONE_INDEX
+      }
+    },
+    llm: {
+      provider: "openai",
+      config: {
+        api_key: options.openaiApiKey || process.env.OPENAI_API_KEY,
+        model: options.model || "gpt-4o-mini"
+      }
+    }
+  };
+
+  if (!Memory || typeof Memory.from_config !== 'function') {
+    throw new Error('mem0ai does not provide Memory.from_config in this installation');
+  }
+
+  return Memory.from_config(config);
+};
+
+// Flatten a list of chat messages into the text we index and search on
+const messagesToText = (messages) => {
+  if (typeof messages === 'string') {
+    return messages;
+  }
+  if (!Array.isArray(messages)) {
+    return '';
+  }
+  return messages
+    .map(message => (typeof message === 'string' ? message : message.content || ''))
+    .join('\n');
+};
+
+const tokenize = (text) => (text || '')
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(token => token.length > 1);
+
+// Local JSON file backend for offline development, tests and Pinecone outages
+const createLocalFileBackend = (options = {}) => {
+  const filePath = path.resolve(
+    options.filePath || process.env.MEMORY_FILE_PATH || path.join('data', 'memories.json')
+  );
+
+  let state = null;
+
+  const load = () => {
+    if (state) {
+      return state;
+    }
+    try {
+      state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Could not read memory file, starting empty', { filePath, error });
+      }
+      state = {};
+    }
+    state.memories = state.memories || {};
+    state.history = state.history || {};
+    return state;
+  };
+
+  // Write to a temp file first so a crash mid-write never truncates the store
+  const persist = () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+    fs.renameSync(tmpPath, filePath);
+  };
+
+  const recordHistory = (memoryId, event, previous, current) => {
+    const { history } = load();
+    if (!history[memoryId]) {
+      history[memoryId] = [];
+    }
+    history[memoryId].push({
+      id: uuidv4(),
+      memoryId,
+      event,
+      previousValue: previous ? previous.memory : null,
+      newValue: current ? current.memory : null,
+      createdAt: Date.now()
+    });
+  };
+
+  return {
+    backend: 'local',
+    filePath,
+
+    add: async (messages, userId, metadata = {}) => {
+      const { memories } = load();
+      const now = Date.now();
+      const record = {
+        id: uuidv4(),
+        userId,
+        memory: messagesToText(messages),
+        messages: Array.isArray(messages) ? messages : [{ role: 'user', content: messages }],
+        metadata,
+        createdAt: now,
+        updatedAt: now
+      };
+
+      memories[record.id] = record;
+      recordHistory(record.id, 'ADD', null, record);
+      persist();
+      return record;
+    },
+
+    search: async (query, userId, limit = 10) => {
+      const { memories } = load();
+      const queryTokens = new Set(tokenize(query));
+
+      return Object.values(memories)
+        .filter(record => record.userId === userId)
+        .map(record => {
+          const tokens = tokenize(record.memory);
+          const hits = tokens.filter(token => queryTokens.has(token)).length;
+          return {
+            ...record,
+            score: queryTokens.size > 0 ? hits / (queryTokens.size + tokens.length - hits) : 0
+          };
+        })
+        .filter(record => record.score > 0)
+        .sort((a, b) => b.score - a.score || b.createdAt - a.createdAt)
+        .slice(0, limit);
+    },
+
+    get: async (memoryId) => {
+      const { memories } = load();
+      return memories[memoryId] || null;
+    },
+
+    get_all: async (userId) => {
+      const { memories } = load();
+      return Object.values(memories)
+        .filter(record => record.userId === userId)
+        .sort((a, b) => a.createdAt - b.createdAt);
+    },
+
+    update: async (memoryId, data) => {
+      const { memories } = load();
+      const existing = memories[memoryId];
+      if (!existing) {
+        throw new Error(`Memory ${memoryId} not found`);
+      }
+
+      const changes = typeof data === 'string' ? { memory: data } : data;
+      const updated = {
+        ...existing,
+        ...changes,
+        metadata: { ...existing.metadata, ...(changes.metadata || {}) },
+        id: existing.id,
+        userId: existing.userId,
+        updatedAt: Date.now()
+      };
+
+      memories[memoryId] = updated;
+      recordHistory(memoryId, 'UPDATE', existing, updated);
+      persist();
+      return updated;
+    },
+
+    delete: async (memoryId) => {
+      const { memories } = load();
+      const existing = memories[memoryId];
+      if (!existing) {
+        return false;
+      }
+
+      // A deleted memory's text shouldn't outlive it in its history: blank
+      // the earlier revisions and record the deletion without any text
+      const { history } = load();
+      history[memoryId] = (history[memoryId] || [])
+        .map(revision => ({ ...revision, previousValue: null, newValue: null }));
+      delete memories[memoryId];
+      recordHistory(memoryId, 'DELETE', null, null);
+      persist();
+      return true;
+    },
+
+    // Removes the user's memories and their history outright, so nothing of
+    // them is left in the file
+    delete_all: async (userId) => {
+      const { memories, history } = load();
+      Object.values(memories)
+        .filter(record => record.userId === userId)
+        .forEach(record => {
+          delete memories[record.id];
+          delete history[record.id];
+        });
+      persist();
+      return true;
+    },
+
+    history: async (memoryId) => {
+      const { history } = load();
+      return history[memoryId] || [];
+    }
+  };
+};
+
+// Registry of available backends, selected with MEMORY_BACKEND
+const memoryBackends = {
+  mem0: createMem0Backend,
+  local: createLocalFileBackend
+};
+
+const registerMemoryBackend = (name, factory) => {
+  memoryBackends[name] = factory;
+};
+
+const createMemoryBackend = (name = process.env.MEMORY_BACKEND || 'mem0', options = {}) => {
+  const factory = memoryBackends[name];
+  if (!factory) {
+    throw new Error(`Unknown memory backend "${name}". Available: ${Object.keys(memoryBackends).join(', ')}`);
+  }
+  return factory(options);
+};
+
+module.exports = {
+  createMemoryBackend,
+  registerMemoryBackend,
+  createMem0Backend,
+  createLocalFileBackend
+};
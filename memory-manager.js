@@ -1,64 +1,131 @@
-const { Memory } = require('mem0ai');
-const moment = require('moment');
+const moment = require('moment-timezone');
 const { v4: uuidv4 } = require('uuid');
+const { createMemoryBackend } = require('./memory-backends');
+const { getSessionStore, getSessionTtlMs, getSessionIdleTimeoutMs } = require('./session-store');
+const reminderScheduler = require('./reminder-scheduler');
+const { publishEvent } = require('./event-stream');
+const conversationLog = require('./conversation-log');
+const { summarizeSession } = require('./summarizer');
+const { resolveTimezone } = require('./reminder-parser');
+const logger = require('./logger');
+const { MemoryUnavailable } = require('./errors');
 
-// Initialize Mem0 Memory with Pinecone
-const config = {
-  vector_store: {
-    provider: "pinecone",
-    config: {
-      api_key: process.env.PINECONE_API_KEY,
-      environment: process.env.PINECONE_ENVIRONMENT,
-      index: process.env.PINECONE_INDEX
-    }
-  },
-  llm: {
-    provider: "openai",
-    config: {
-      api_key: process.env.OPENAI_API_KEY,
-      model: "gpt-4o-mini"
-    }
-  }
+const SESSIONS = 'sessions';
+// Sessions that have ended, kept for the resume grace window
+const ENDED_SESSIONS = 'ended-sessions';
+
+// How long before an idle session expires to warn the client
+const getExpiryWarningMs = () => {
+  const seconds = parseInt(process.env.SESSION_EXPIRY_WARNING_SECONDS, 10);
+  return (Number.isFinite(seconds) && seconds > 0 ? seconds : 5 * 60) * 1000;
+};
+
+// How long after a session ends it can still be resumed by ID
+const getResumeGraceMs = () => {
+  const seconds = parseInt(process.env.SESSION_RESUME_GRACE_SECONDS, 10);
+  return (Number.isFinite(seconds) && seconds >= 0 ? seconds : 60 * 60) * 1000;
+};
+
+// Most sessions kept open at once; beyond this the least recently active ones
+// are ended first, so abandoned sessions can't pile up. 0 means no limit.
+const getMaxActiveSessions = () => {
+  const count = parseInt(process.env.MAX_ACTIVE_SESSIONS, 10);
+  return Number.isFinite(count) && count >= 0 ? count : 1000;
+};
+
+// Hour at which each part of the day starts, e.g. "night:0,morning:6,afternoon:12,evening:18".
+// Set TIME_OF_DAY_BUCKETS to change where one part of the day ends and the next begins.
+const DEFAULT_TIME_OF_DAY_BUCKETS = 'night:0,morning:6,afternoon:12,evening:18';
+
+const parseTimeOfDayBuckets = (spec) => spec
+  .split(',')
+  .map(entry => entry.split(':').map(part => part.trim()))
+  .filter(([name, hour]) => name && /^\d{1,2}$/.test(hour) && parseInt(hour, 10) < 24)
+  .map(([name, hour]) => ({ name, startHour: parseInt(hour, 10) }))
+  .sort((a, b) => a.startHour - b.startHour);
+
+const getTimeOfDayBuckets = () => {
+  const buckets = parseTimeOfDayBuckets(process.env.TIME_OF_DAY_BUCKETS || '');
+  return buckets.length > 0 ? buckets : parseTimeOfDayBuckets(DEFAULT_TIME_OF_DAY_BUCKETS);
+};
+
+// The last bucket starting at or before the hour; hours before the first
+// bucket belong to the last one, which wraps around midnight
+const getTimeOfDay = (hour, buckets = getTimeOfDayBuckets()) => {
+  const started = buckets.filter(bucket => bucket.startHour <= hour);
+  return (started.length > 0 ? started[started.length - 1] : buckets[buckets.length - 1]).name;
 };
 
+const resolveLocale = (locale) => locale || process.env.DEFAULT_LOCALE || 'en';
+
 // Initialize memory instance
 let memoryInstance = null;
 
+// Pick the backend from MEMORY_BACKEND (mem0 by default). If the configured
+// backend can't start we fall back to MEMORY_FALLBACK_BACKEND, which persists
+// to disk, instead of an in-memory store that loses everything on restart.
 const initializeMemory = async () => {
   if (!memoryInstance) {
+    const backendName = process.env.MEMORY_BACKEND || 'mem0';
     try {
-      memoryInstance = Memory.from_config(config);
-      console.log("Memory system initialized successfully");
+      memoryInstance = createMemoryBackend(backendName);
+      logger.info('Memory system initialized', { backend: backendName });
     } catch (error) {
-      console.error("Error initializing memory system:", error);
-      console.log("Falling back to in-memory storage");
-      
-      // Fallback to in-memory storage if Pinecone setup fails
-      memoryInstance = new Memory();
+      const fallbackName = process.env.MEMORY_FALLBACK_BACKEND || 'local';
+      if (fallbackName === 'none' || fallbackName === backendName) {
+        throw error;
+      }
+
+      logger.error('Error initializing memory backend, falling back', { backend: backendName, fallback: fallbackName, error });
+      memoryInstance = createMemoryBackend(fallbackName);
     }
   }
   return memoryInstance;
 };
 
+// Run an operation on the memory backend. Any failure, including the backend
+// not starting, becomes MemoryUnavailable, so callers can tell "memory is
+// down" apart from "nothing found" instead of getting a placeholder result.
+const withMemory = async (action, operation) => {
+  try {
+    return await operation(await initializeMemory());
+  } catch (error) {
+    throw new MemoryUnavailable(`Could not ${action}: memory is unavailable`, { cause: error });
+  }
+};
+
+// Swap the active backend, e.g. to point tests at a temporary local store
+const setMemoryBackend = (backend) => {
+  memoryInstance = backend;
+};
+
 // Time context manager with reminder functionality
 const timeContextManager = {
-  // Store active reminders
-  activeReminders: new Map(),
+  // Active reminders, persisted by the reminder scheduler
+  activeReminders: {
+    get: (reminderId) => reminderScheduler.getReminder(reminderId),
+    set: (reminderId, reminder) => reminderScheduler.saveReminder({ ...reminder, id: reminderId }),
+    delete: (reminderId) => reminderScheduler.deleteReminder(reminderId),
+    list: (filter) => reminderScheduler.listReminders(filter)
+  },
   
-  getCurrentTimeContext: () => {
-    const now = moment();
+  // The current time as the user sees it, in their timezone, with
+  // readableTime and dayOfWeek in their locale. Without options this uses
+  // DEFAULT_TIMEZONE.
+  getCurrentTimeContext: (options = {}) => {
+    const timezone = resolveTimezone(options.timezone);
+    const locale = resolveLocale(options.locale);
+    const now = moment.tz(options.now || Date.now(), timezone);
     return {
       timestamp: now.valueOf(),
       iso: now.toISOString(),
-      readableTime: now.format('MMMM Do YYYY, h:mm:ss a'),
-      dayOfWeek: now.format('dddd'),
-      timeOfDay: (() => {
-        const hour = now.hour();
-        if (hour < 6) return 'night';
-        if (hour < 12) return 'morning';
-        if (hour < 18) return 'afternoon';
-        return 'evening';
-      })()
+      readableTime: now.clone().locale(locale).format('MMMM Do YYYY, h:mm:ss a'),
+      dayOfWeek: now.clone().locale(locale).format('dddd'),
+      timeOfDay: getTimeOfDay(now.hour(), options.timeOfDayBuckets),
+      timezone,
+      locale,
+      utcOffset: now.format('Z'),
+      localIso: now.format()
     };
   },
   
@@ -76,367 +143,631 @@ const timeContextManager = {
     };
   },
   
-  // Set a reminder for a future time
-  setReminder: (sessionId, userId, task, durationInSeconds, callback) => {
-    const reminderId = uuidv4();
-    const now = moment();
-    const reminderTime = now.add(durationInSeconds, 'seconds');
+  // Set a reminder for a future time. The reminder is stored with an absolute
+  // due time and fired by the reminder scheduler's polling loop.
+  setReminder: async (sessionId, userId, task, durationInSeconds, callback) => {
+    logger.info('Setting reminder', { sessionId, durationInSeconds });
     
-    console.log(`Setting reminder for ${durationInSeconds} seconds from now`);
+    const reminderTime = moment().add(durationInSeconds, 'seconds').valueOf();
+    return timeContextManager.setReminderAt(sessionId, userId, task, reminderTime, {}, callback);
+  },
+  
+  // Set a reminder for an absolute time, optionally repeating on a daily or
+  // weekly recurrence (see reminder-parser.js) in the given timezone
+  setReminderAt: async (sessionId, userId, task, reminderTime, options = {}, callback) => {
+    const now = moment();
     
     const reminder = {
-      id: reminderId,
+      id: uuidv4(),
       sessionId,
       userId,
       task,
       createdAt: now.valueOf(),
-      reminderTime: reminderTime.valueOf(),
-      durationInSeconds,
+      reminderTime,
+      durationInSeconds: Math.max(0, Math.round((reminderTime - now.valueOf()) / 1000)),
+      timezone: options.timezone || null,
+      recurrence: options.recurrence || null,
       isCompleted: false,
       wasTriggered: false
     };
     
-    // Store the reminder
-    timeContextManager.activeReminders.set(reminderId, reminder);
-    
-    // Set the timeout to trigger the reminder
-    const timeoutId = setTimeout(() => {
-      const reminderToTrigger = timeContextManager.activeReminders.get(reminderId);
-      if (reminderToTrigger && !reminderToTrigger.isCompleted) {
-        reminderToTrigger.wasTriggered = true;
-        timeContextManager.activeReminders.set(reminderId, reminderToTrigger);
-        
-        console.log(`Triggering reminder: ${task}`);
-        
-        // Execute the callback function when the timer completes
-        if (callback && typeof callback === 'function') {
-          callback(reminderToTrigger);
-        }
-      }
-    }, durationInSeconds * 1000);
+    return reminderScheduler.scheduleReminder(reminder, callback);
+  },
+  
+  // Where a reminder is in its lifecycle
+  getReminderStatus: (reminder) => {
+    if (reminder.cancelledAt) {
+      return 'cancelled';
+    }
+    if (reminder.isCompleted) {
+      return 'completed';
+    }
+    if (reminder.failed) {
+      return 'failed';
+    }
+    if (reminder.wasTriggered) {
+      return 'triggered';
+    }
+    return 'upcoming';
+  },
+  
+  // A reminder as clients and the agent see it: what it is, when it's due and
+  // where it is in its lifecycle, without the scheduler's delivery
+  // bookkeeping (locks, attempts, retry times and errors)
+  describeReminder: (reminder) => ({
+    id: reminder.id,
+    sessionId: reminder.sessionId,
+    userId: reminder.userId,
+    task: reminder.task,
+    createdAt: reminder.createdAt,
+    updatedAt: reminder.updatedAt || null,
+    reminderTime: reminder.reminderTime,
+    durationInSeconds: reminder.durationInSeconds,
+    timezone: reminder.timezone || null,
+    recurrence: reminder.recurrence || null,
+    status: timeContextManager.getReminderStatus(reminder),
+    triggeredAt: reminder.triggeredAt || null,
+    completedAt: reminder.completedAt || null,
+    cancelledAt: reminder.cancelledAt || null,
+    snoozeCount: reminder.snoozeCount || 0
+  }),
+  
+  // List a user's reminders, optionally narrowed to one session and status
+  listReminders: async ({ userId, sessionId, status } = {}) => {
+    const reminders = userId
+      ? await reminderScheduler.listUserReminders(userId, { sessionId })
+      : await reminderScheduler.listReminders(reminder => !sessionId || reminder.sessionId === sessionId);
     
-    // Store the timeout ID so we can clear it if needed
-    reminder.timeoutId = timeoutId;
-    timeContextManager.activeReminders.set(reminderId, reminder);
+    return reminders
+      .map(reminder => ({ ...reminder, status: timeContextManager.getReminderStatus(reminder) }))
+      .filter(reminder => !status || status === 'all' || reminder.status === status);
+  },
+  
+  // Change a reminder's task or due time. Moving the due time re-arms it so it
+  // fires again even if it had already been triggered.
+  updateReminder: async (reminderId, changes = {}) => {
+    const reminder = await reminderScheduler.getReminder(reminderId);
+    if (!reminder) {
+      return null;
+    }
     
-    return reminder;
+    const updated = { ...reminder, updatedAt: Date.now() };
+    if (changes.task !== undefined) {
+      updated.task = changes.task;
+    }
+    if (changes.reminderTime !== undefined) {
+      Object.assign(updated, {
+        reminderTime: changes.reminderTime,
+        durationInSeconds: Math.max(0, Math.round((changes.reminderTime - Date.now()) / 1000)),
+        isCompleted: false,
+        wasTriggered: false,
+        triggeredAt: null,
+        deliveredAt: null,
+        attempts: 0,
+        nextAttemptAt: null,
+        failed: false,
+        lastError: null
+      });
+    }
+    
+    return reminderScheduler.saveReminder(updated);
   },
   
-  // Check if there are any pending reminders for a session
-  getPendingReminders: (sessionId) => {
-    const now = moment().valueOf();
-    const pendingReminders = [];
-    
-    timeContextManager.activeReminders.forEach((reminder) => {
-      if (reminder.sessionId === sessionId && 
-          !reminder.isCompleted && 
-          reminder.reminderTime <= now &&
-          reminder.wasTriggered) {
-        pendingReminders.push(reminder);
-      }
+  // Push a reminder back by some seconds from now
+  snoozeReminder: async (reminderId, durationInSeconds) => {
+    const reminder = await timeContextManager.updateReminder(reminderId, {
+      reminderTime: moment().add(durationInSeconds, 'seconds').valueOf()
+    });
+    if (!reminder) {
+      return null;
+    }
+    
+    return reminderScheduler.saveReminder({
+      ...reminder,
+      snoozeCount: (reminder.snoozeCount || 0) + 1
+    });
+  },
+  
+  // Cancel a reminder, stopping any further occurrences of a recurring one
+  cancelReminder: async (reminderId) => {
+    const reminder = await reminderScheduler.getReminder(reminderId);
+    if (!reminder) {
+      return null;
+    }
+    
+    return reminderScheduler.saveReminder({
+      ...reminder,
+      isCompleted: true,
+      cancelledAt: Date.now()
     });
+  },
+  
+  // Reminders of the user's that have fired but haven't been acknowledged yet,
+  // whichever session they were set in
+  getPendingReminders: async (userId) => {
+    const now = moment().valueOf();
     
-    return pendingReminders;
+    return (await reminderScheduler.listUserReminders(userId)).filter(reminder => !reminder.isCompleted && 
+      reminder.reminderTime <= now &&
+      reminder.wasTriggered);
   },
   
   // Mark a reminder as completed
-  completeReminder: (reminderId) => {
-    const reminder = timeContextManager.activeReminders.get(reminderId);
+  completeReminder: async (reminderId) => {
+    const reminder = await reminderScheduler.getReminder(reminderId);
     if (reminder) {
-      reminder.isCompleted = true;
-      timeContextManager.activeReminders.set(reminderId, reminder);
+      await reminderScheduler.saveReminder({ ...reminder, isCompleted: true, completedAt: Date.now() });
       return true;
     }
     return false;
-  },
-  
-  // Clear all reminders for a session
-  clearSessionReminders: (sessionId) => {
-    timeContextManager.activeReminders.forEach((reminder, id) => {
-      if (reminder.sessionId === sessionId) {
-        if (reminder.timeoutId) {
-          clearTimeout(reminder.timeoutId);
-        }
-        timeContextManager.activeReminders.delete(id);
-      }
-    });
   }
 };
 
 // Memory operations
+const SEARCH_LIMIT = 10;
+const SCOPED_SEARCH_FACTOR = 5;
+
+// Memories carry the persona namespace they were stored under (see
+// personas.js); memories without one belong to the unscoped default persona
+const inMemoryNamespace = (mem, memoryNamespace) =>
+  ((mem.metadata && mem.metadata.memoryNamespace) || null) === (memoryNamespace || null);
+
 const memoryManager = {
+  initializeMemory,
+  
   // Store conversation with time context
-  storeConversation: async (userId, messages, metadata = {}) => {
-    try {
-      const memory = await initializeMemory();
+  storeConversation: async (userId, messages, metadata = {}) => withMemory('store conversation', async (memory) => {
+    // Add time context to metadata, in the user's timezone when the caller knows it
+    const timeContext = metadata.timeContext || timeContextManager.getCurrentTimeContext();
+    const enrichedMetadata = {
+      ...metadata,
+      timeContext,
+      conversationId: metadata.conversationId || uuidv4()
+    };
+    
+    // Store the conversation with Mem0
+    const result = await memory.add(messages, userId, enrichedMetadata);
+    
+    logger.info('Stored conversation', { userId, memoryId: result.id });
+    return result;
+  }),
+  
+  // Retrieve relevant memories for the current conversation. With a
+  // memoryNamespace option, only memories of that persona are returned.
+  retrieveRelevantMemories: async (userId, query, options = {}) => withMemory('retrieve memories', async (memory) => {
+    // Search for relevant memories; when scoping, search wider so other
+    // personas' matches don't crowd this persona's out
+    const scoped = options.memoryNamespace !== undefined;
+    const results = await memory.search(query, userId, scoped ? SEARCH_LIMIT * SCOPED_SEARCH_FACTOR : SEARCH_LIMIT);
+    const memories = scoped
+      ? results.filter(mem => inMemoryNamespace(mem, options.memoryNamespace)).slice(0, SEARCH_LIMIT)
+      : results;
+    
+    // Enhance memories with time-based context, worded for the user's
+    // timezone and locale ("yesterday at 9:00 PM", "एक घंटा पहले")
+    const timezone = resolveTimezone(options.timezone);
+    const locale = resolveLocale(options.locale);
+    const now = moment.tz(timezone).locale(locale);
+    return memories.map(mem => {
+      const createdAt = moment.tz(mem.metadata?.timeContext?.timestamp || Date.now(), timezone).locale(locale);
       
-      // Add time context to metadata
-      const timeContext = timeContextManager.getCurrentTimeContext();
-      const enrichedMetadata = {
-        ...metadata,
-        timeContext,
-        conversationId: metadata.conversationId || uuidv4()
+      return {
+        ...mem,
+        timeSince: createdAt.from(now),
+        createdAtLocal: createdAt.calendar(now),
+        isRecent: now.diff(createdAt, 'hours') < 24
       };
-      
-      // Store the conversation with Mem0
-      const result = await memory.add(messages, userId, enrichedMetadata);
-      
-      console.log(`Stored conversation for user ${userId} with ID ${result.id}`);
-      return result;
-    } catch (error) {
-      console.error('Error storing conversation in memory:', error);
-      // Return a mock result if memory storage fails
-      return { id: uuidv4(), success: false, error: error.message };
-    }
-  },
+    });
+  }),
   
-  // Retrieve relevant memories for the current conversation
-  retrieveRelevantMemories: async (userId, query) => {
-    try {
-      const memory = await initializeMemory();
-      
-      // Search for relevant memories
-      const memories = await memory.search(query, userId);
-      
-      // Enhance memories with time-based context
-      const enhancedMemories = memories.map(mem => {
-        const createdAt = mem.metadata?.timeContext?.timestamp || Date.now();
-        const timeSince = moment(createdAt).fromNow();
-        
-        return {
-          ...mem,
-          timeSince,
-          isRecent: moment().diff(moment(createdAt), 'hours') < 24
-        };
-      });
-      
-      return enhancedMemories;
-    } catch (error) {
-      console.error('Error retrieving memories:', error);
-      return [];
-    }
-  },
+  // Get all user memories, optionally only those of one persona
+  getAllUserMemories: async (userId, options = {}) => withMemory('get memories', async (memory) => {
+    const memories = await memory.get_all(userId);
+    return options.memoryNamespace !== undefined
+      ? memories.filter(mem => inMemoryNamespace(mem, options.memoryNamespace))
+      : memories;
+  }),
   
-  // Get all user memories
-  getAllUserMemories: async (userId) => {
-    try {
-      const memory = await initializeMemory();
-      return await memory.get_all(userId);
-    } catch (error) {
-      console.error('Error getting all user memories:', error);
-      return [];
-    }
-  },
+  // Get a single memory by ID, or null if there's no such memory
+  getMemory: async (memoryId) => withMemory('get memory', memory => memory.get(memoryId)),
   
   // Update a specific memory
-  updateMemory: async (memoryId, newData) => {
-    try {
-      const memory = await initializeMemory();
-      return await memory.update(memoryId, newData);
-    } catch (error) {
-      console.error(`Error updating memory ${memoryId}:`, error);
-      return { id: memoryId, success: false, error: error.message };
-    }
-  },
+  updateMemory: async (memoryId, newData) => withMemory('update memory', memory => memory.update(memoryId, newData)),
   
   // Get memory history
-  getMemoryHistory: async (memoryId) => {
-    try {
-      const memory = await initializeMemory();
-      return await memory.history(memoryId);
-    } catch (error) {
-      console.error(`Error getting memory history for ${memoryId}:`, error);
-      return [];
-    }
-  },
+  getMemoryHistory: async (memoryId) => withMemory('get memory history', memory => memory.history(memoryId)),
+  
+  // Delete a single memory
+  deleteMemory: async (memoryId) => withMemory('delete memory', async (memory) => {
+    await memory.delete(memoryId);
+    logger.info('Deleted memory', { memoryId });
+  }),
   
   // Delete user memories
-  deleteUserMemories: async (userId) => {
-    try {
-      const memory = await initializeMemory();
-      await memory.delete_all(userId);
-      console.log(`Deleted all memories for user ${userId}`);
-      return true;
-    } catch (error) {
-      console.error(`Error deleting memories for user ${userId}:`, error);
-      return false;
-    }
-  },
+  deleteUserMemories: async (userId) => withMemory('delete memories', async (memory) => {
+    await memory.delete_all(userId);
+    logger.info('Deleted all memories for user', { userId });
+  }),
   
-  // Store complete chat history
-  storeCompleteChatHistory: async (userId, messages, sessionId) => {
-    try {
-      const memory = await initializeMemory();
-      
-      // Add time context and enhanced metadata
-      const timeContext = timeContextManager.getCurrentTimeContext();
-      const metadata = {
-        sessionId,
-        timeContext,
-        conversationType: 'chat_history',
-        messageCount: messages.length
-      };
-      
-      // Store the entire conversation history
-      const result = await memory.add(messages, userId, metadata);
-      
-      console.log(`Stored complete chat history for user ${userId} with ${messages.length} messages`);
-      return result;
-    } catch (error) {
-      console.error('Error storing chat history in memory:', error);
-      return { id: uuidv4(), success: false, error: error.message };
-    }
+  // Append messages to the user's ordered chat log, skipping ones already
+  // stored. options.memoryNamespace is the persona they were said to.
+  appendChatHistory: async (userId, sessionId, messages, options = {}) => {
+    return conversationLog.appendMessages(userId, sessionId, messages, options);
   },
   
-  // Get conversation history
+  // Get the most recent messages of the user's chat log, oldest first
   getConversationHistory: async (userId, limit = 20) => {
-    try {
-      const memory = await initializeMemory();
-      
-      // Search for conversation history
-      const query = "conversation history";
-      const memories = await memory.search(query, userId, limit);
-      
-      // Extract messages from memories
-      let allMessages = [];
-      memories.forEach(mem => {
-        if (mem.messages && Array.isArray(mem.messages)) {
-          allMessages = [...allMessages, ...mem.messages];
-        }
-      });
-      
-      // Sort by timestamp if available
-      allMessages.sort((a, b) => {
-        const timeA = a.timestamp || 0;
-        const timeB = b.timestamp || 0;
-        return timeA - timeB;
-      });
-      
-      return allMessages;
-    } catch (error) {
-      console.error('Error retrieving conversation history:', error);
-      return [];
-    }
+    const { messages } = await conversationLog.getMessages(userId, { limit });
+    return messages;
   }
 };
 
-// Session manager
+// Move an ended session out of the live ones, keeping it for the resume
+// grace window so the user can pick it back up
+const archiveSession = async (sessionId, session, summary) => {
+  const graceMs = getResumeGraceMs();
+  if (graceMs > 0) {
+    await getSessionStore().set(ENDED_SESSIONS, sessionId, {
+      ...session,
+      endedAt: Date.now(),
+      summary
+    }, { ttlMs: graceMs });
+  }
+  await getSessionStore().delete(SESSIONS, sessionId);
+};
+
+// Active conversations live in the shared session store, keyed by sessionId,
+// so a cold start or a second instance can still find them
+const CONVERSATIONS = 'conversations';
+const activeConversations = {
+  get: (sessionId) => getSessionStore().get(CONVERSATIONS, sessionId),
+  set: (sessionId, conversation) => getSessionStore().set(CONVERSATIONS, sessionId, conversation, { ttlMs: getSessionTtlMs() }),
+  delete: (sessionId) => getSessionStore().delete(CONVERSATIONS, sessionId),
+  list: () => getSessionStore().list(CONVERSATIONS)
+};
+
+// Session manager, backed by the shared session store so sessions survive
+// restarts and are visible to every serverless instance
 const sessionManager = {
-  activeSessions: new Map(),
+  store: () => getSessionStore(),
   
-  createSession: (userId) => {
+  // options.persona and options.memoryNamespace come from the persona registry
+  // (personas.js); the namespace is fixed for the life of the session
+  // options.timezone and options.locale are the user's, so the session's time
+  // context matches what their clock says. options.profile (user-profiles.js)
+  // links the session to a known user and fills in settings not given.
+  createSession: async (userId, options = {}) => {
     const sessionId = uuidv4();
     const startTime = Date.now();
+    const profile = options.profile || null;
+    const timeSettings = {
+      timezone: resolveTimezone(options.timezone || (profile && profile.timezone)),
+      locale: resolveLocale(options.locale || (profile && profile.locale))
+    };
     
-    sessionManager.activeSessions.set(sessionId, {
+    await sessionManager.store().set(SESSIONS, sessionId, {
       userId,
+      knownUser: Boolean(profile),
+      displayName: (profile && profile.displayName) || null,
+      persona: options.persona || null,
+      memoryNamespace: options.memoryNamespace || null,
+      ...timeSettings,
       startTime,
       lastActiveTime: startTime,
       interactions: 0,
       memoryIds: [],
-      timeContext: timeContextManager.getCurrentTimeContext()
-    });
+      timeContext: timeContextManager.getCurrentTimeContext(timeSettings)
+    }, { ttlMs: getSessionTtlMs() });
     
     return {
       sessionId,
+      knownUser: Boolean(profile),
+      persona: options.persona || null,
+      ...timeSettings,
       startTime,
-      timeContext: timeContextManager.getCurrentTimeContext()
+      timeContext: timeContextManager.getCurrentTimeContext(timeSettings)
     };
   },
   
-  updateSession: (sessionId, updates = {}) => {
-    if (!sessionManager.activeSessions.has(sessionId)) {
+  updateSession: async (sessionId, updates = {}) => {
+    const session = await sessionManager.store().get(SESSIONS, sessionId);
+    if (!session) {
       return null;
     }
     
-    const session = sessionManager.activeSessions.get(sessionId);
     const updatedSession = {
       ...session,
       ...updates,
-      lastActiveTime: Date.now(),
-      timeContext: timeContextManager.getCurrentTimeContext()
+      lastActiveTime: Date.now()
     };
+    updatedSession.timeContext = timeContextManager.getCurrentTimeContext(updatedSession);
     
     // Increment interactions count if not specified in updates
     if (!updates.hasOwnProperty('interactions')) {
       updatedSession.interactions += 1;
     }
     
-    sessionManager.activeSessions.set(sessionId, updatedSession);
+    // Writing the session again refreshes its idle TTL
+    await sessionManager.store().set(SESSIONS, sessionId, updatedSession, { ttlMs: getSessionTtlMs() });
     return updatedSession;
   },
   
-  getSession: (sessionId) => {
-    if (!sessionManager.activeSessions.has(sessionId)) {
+  // Pick a session back up by ID, e.g. from another device. A live session is
+  // refreshed like updateSession; one that ended less than
+  // SESSION_RESUME_GRACE_SECONDS ago is reopened with its memory IDs and
+  // interaction count. Returns { session, resumed } or null if neither exists.
+  resumeSession: async (sessionId, updates = {}) => {
+    const live = await sessionManager.updateSession(sessionId, updates);
+    if (live) {
+      return { session: live, resumed: false };
+    }
+    
+    const ended = await sessionManager.store().get(ENDED_SESSIONS, sessionId);
+    if (!ended) {
+      return null;
+    }
+    
+    const { endedAt, summary, ...session } = ended;
+    const now = Date.now();
+    const resumedSession = {
+      ...session,
+      ...updates,
+      lastActiveTime: now,
+      resumedAt: now,
+      resumeCount: (session.resumeCount || 0) + 1
+    };
+    resumedSession.timeContext = timeContextManager.getCurrentTimeContext(resumedSession);
+    
+    await sessionManager.store().set(SESSIONS, sessionId, resumedSession, { ttlMs: getSessionTtlMs() });
+    await sessionManager.store().delete(ENDED_SESSIONS, sessionId);
+    return { session: resumedSession, resumed: true };
+  },
+  
+  // A user's live sessions and the ended ones that can still be resumed,
+  // most recently active first
+  listUserSessions: async (userId) => {
+    const idleTimeoutMs = getSessionIdleTimeoutMs();
+    const live = (await sessionManager.store().list(SESSIONS))
+      .filter(({ value }) => value.userId === userId)
+      .map(({ key, value }) => ({
+        sessionId: key,
+        status: 'active',
+        persona: value.persona,
+        startTime: value.startTime,
+        lastActiveTime: value.lastActiveTime,
+        interactions: value.interactions,
+        memoryIds: value.memoryIds,
+        expiresAt: value.lastActiveTime + idleTimeoutMs
+      }));
+    const ended = (await sessionManager.store().list(ENDED_SESSIONS))
+      .filter(({ value }) => value.userId === userId)
+      .map(({ key, value }) => ({
+        sessionId: key,
+        status: 'ended',
+        persona: value.persona,
+        startTime: value.startTime,
+        lastActiveTime: value.lastActiveTime,
+        interactions: value.interactions,
+        memoryIds: value.memoryIds,
+        endedAt: value.endedAt,
+        summary: value.summary || null,
+        resumableUntil: value.endedAt + getResumeGraceMs()
+      }));
+    
+    return [...live, ...ended].sort((a, b) => b.lastActiveTime - a.lastActiveTime);
+  },
+  
+  // The stored record of a live session, without getSession's extras
+  getSessionRecord: async (sessionId) => sessionManager.store().get(SESSIONS, sessionId),
+  
+  // Who a live or recently ended session belongs to, or null if it's unknown
+  getSessionOwner: async (sessionId) => {
+    const session = await sessionManager.store().get(SESSIONS, sessionId) ||
+      await sessionManager.store().get(ENDED_SESSIONS, sessionId);
+    return session ? session.userId : null;
+  },
+  
+  // The stored records of a user's live and recently ended sessions, as
+  // [{ key, value }], for exporting and purging everything we hold on them
+  listUserSessionRecords: async (userId) => {
+    const owned = async (namespace) => (await sessionManager.store().list(namespace))
+      .filter(entry => entry.value.userId === userId);
+    return { live: await owned(SESSIONS), ended: await owned(ENDED_SESSIONS) };
+  },
+  
+  // Drop a session's live and ended records outright, with no summary or events
+  deleteSessionRecords: async (sessionId) => {
+    await sessionManager.store().delete(SESSIONS, sessionId);
+    await sessionManager.store().delete(ENDED_SESSIONS, sessionId);
+  },
+  
+  getSession: async (sessionId) => {
+    const session = await sessionManager.store().get(SESSIONS, sessionId);
+    if (!session) {
       return null;
     }
     
-    const session = sessionManager.activeSessions.get(sessionId);
     const duration = timeContextManager.getSessionDuration(session.startTime);
     
     return {
       ...session,
       duration,
-      currentTime: timeContextManager.getCurrentTimeContext(),
-      pendingReminders: timeContextManager.getPendingReminders(sessionId)
+      currentTime: timeContextManager.getCurrentTimeContext(session),
+      pendingReminders: await timeContextManager.getPendingReminders(session.userId)
     };
   },
   
-  endSession: async (sessionId) => {
-    if (!sessionManager.activeSessions.has(sessionId)) {
+  // Push a session.expiring event once per idle period to sessions that are
+  // about to hit the idle timeout. Runs from the server's housekeeping loop.
+  warnExpiringSessions: async () => {
+    const now = Date.now();
+    const idleTimeoutMs = getSessionIdleTimeoutMs();
+    const entries = await sessionManager.store().list(SESSIONS);
+    const warned = [];
+    
+    for (const { key: sessionId, value: session } of entries) {
+      const expiresAt = session.lastActiveTime + idleTimeoutMs;
+      if (now >= expiresAt || now < expiresAt - getExpiryWarningMs() || session.expiryWarnedAt === session.lastActiveTime) {
+        continue;
+      }
+      
+      // Save without refreshing the TTL, so the warning doesn't extend the session
+      await sessionManager.store().set(SESSIONS, sessionId, {
+        ...session,
+        expiryWarnedAt: session.lastActiveTime
+      }, { ttlMs: Math.max(1, session.lastActiveTime + getSessionTtlMs() - now) });
+      
+      await publishEvent(sessionId, 'session.expiring', {
+        expiresAt,
+        secondsRemaining: Math.max(0, Math.ceil((expiresAt - now) / 1000))
+      }, { dedupeKey: `session-expiring:${sessionId}:${session.lastActiveTime}` });
+      warned.push(sessionId);
+    }
+    
+    return warned;
+  },
+  
+  // Sessions that should be ended now, least recently active first: those
+  // idle past the timeout, then the oldest ones beyond MAX_ACTIVE_SESSIONS.
+  // Returns [{ sessionId, userId, lastActiveTime, reason: 'idle' | 'capacity' }].
+  findExpiredSessions: async () => {
+    const now = Date.now();
+    const idleTimeoutMs = getSessionIdleTimeoutMs();
+    const maxActiveSessions = getMaxActiveSessions();
+    const entries = (await sessionManager.store().list(SESSIONS))
+      .sort((a, b) => a.value.lastActiveTime - b.value.lastActiveTime);
+    
+    const overCapacity = maxActiveSessions > 0 ? Math.max(0, entries.length - maxActiveSessions) : 0;
+    
+    return entries
+      .map(({ key: sessionId, value: session }, index) => ({
+        sessionId,
+        userId: session.userId,
+        lastActiveTime: session.lastActiveTime,
+        reason: now >= session.lastActiveTime + idleTimeoutMs ? 'idle' : (index < overCapacity ? 'capacity' : null)
+      }))
+      .filter(session => session.reason);
+  },
+  
+  // With options.storeMemories false (the user hasn't consented to memory)
+  // the summary is returned but nothing is written to long-term memory
+  endSession: async (sessionId, options = {}) => {
+    const { storeMemories = true } = options;
+    const session = await sessionManager.store().get(SESSIONS, sessionId);
+    if (!session) {
       return null;
     }
     
-    const session = sessionManager.activeSessions.get(sessionId);
     const duration = timeContextManager.getSessionDuration(session.startTime);
     
-    // Clear any active reminders for this session
-    timeContextManager.clearSessionReminders(sessionId);
+    // Reminders belong to the user, not the session, so they're left to
+    // keep firing (see server.js for where they're delivered)
+    
+    const endedSession = {
+      sessionId,
+      userId: session.userId,
+      startTime: session.startTime,
+      endTime: Date.now(),
+      duration: duration.humanReadable,
+      interactions: session.interactions,
+      memoryIds: session.memoryIds
+    };
     
-    // Store session summary in memory
+    // Summarise what was actually discussed and store it, plus any durable
+    // facts about the user as their own tagged memories. `degraded` lists what
+    // couldn't be done: "memory" when the summary couldn't be stored, "summary"
+    // when the session couldn't be summarised at all.
     try {
-      const endTime = Date.now();
+      // A resumed session was already summarised up to when it was resumed
+      const { messages: sessionMessages } = await conversationLog.getMessages(session.userId, { sessionId, limit: Infinity });
+      const messages = session.resumedAt
+        ? sessionMessages.filter(message => message.createdAt >= session.resumedAt)
+        : sessionMessages;
+      const { summary, topics, facts, summarizer } = await summarizeSession({ messages, session });
+      
       const sessionSummary = {
-        sessionId,
-        userId: session.userId,
-        startTime: session.startTime,
-        endTime,
-        duration: duration.humanReadable,
-        interactions: session.interactions,
-        memoryIds: session.memoryIds
+        ...endedSession,
+        summary,
+        topics,
+        facts,
+        summarizer
       };
       
-      await memoryManager.storeConversation(
-        session.userId,
-        [
-          {
-            role: "system",
-            content: `Session summary: User had a conversation lasting ${duration.humanReadable} with ${session.interactions} interactions.`
+      const timeContext = timeContextManager.getCurrentTimeContext(session);
+      
+      const degraded = [];
+      if (storeMemories) {
+        try {
+          await storeSessionMemories(session, sessionSummary, timeContext);
+        } catch (error) {
+          if (!(error instanceof MemoryUnavailable)) {
+            throw error;
           }
-        ],
-        {
-          category: "session_summary",
-          sessionSummary
+          logger.warn('Session summary not stored in memory', { sessionId, error });
+          degraded.push('memory');
         }
-      );
+      }
       
-      sessionManager.activeSessions.delete(sessionId);
-      return sessionSummary;
+      await archiveSession(sessionId, session, summary);
+      return { ...sessionSummary, degraded };
     } catch (error) {
-      console.error(`Error ending session ${sessionId}:`, error);
-      sessionManager.activeSessions.delete(sessionId);
-      return { 
-        sessionId,
-        error: error.message,
-        success: false
+      // The session still ends, just without a summary
+      logger.error('Error summarising session', { sessionId, error });
+      await archiveSession(sessionId, session, null);
+      return {
+        ...endedSession,
+        summary: null,
+        topics: [],
+        facts: [],
+        summarizer: null,
+        degraded: ['summary']
       };
     }
   }
 };
 
+// Store a session's summary, and each durable fact about the user as its own
+// tagged memory
+const storeSessionMemories = async (session, sessionSummary, timeContext) => {
+  const { sessionId, summary, duration, interactions, facts } = sessionSummary;
+  
+  await memoryManager.storeConversation(
+    session.userId,
+    [
+      {
+        role: "system",
+        content: `Session summary (${duration}, ${interactions} interactions): ${summary}`
+      }
+    ],
+    {
+      category: "session_summary",
+      memoryNamespace: session.memoryNamespace,
+      timeContext,
+      sessionSummary
+    }
+  );
+  
+  for (const fact of facts) {
+    await memoryManager.storeConversation(
+      session.userId,
+      [{ role: "system", content: fact.text }],
+      {
+        category: "fact",
+        factType: fact.type,
+        tags: ["fact", fact.type],
+        sessionId,
+        memoryNamespace: session.memoryNamespace,
+        timeContext
+      }
+    );
+  }
+};
+
 module.exports = {
   memoryManager,
   sessionManager,
   timeContextManager,
-  initializeMemory
+  activeConversations,
+  initializeMemory,
+  setMemoryBackend
 };
\ No newline at end of file
@@ -0,0 +1,167 @@
+const { routes, components } = require('./api-schemas');
+const { name, version, description } = require('./package.json');
+
+// Builds the OpenAPI 3.0 document served at /api/openapi.json from the route
+// schemas in api-schemas.js, so the docs can't drift from what's validated.
+
+const SECURITY_SCHEMES = {
+  sessionToken: {
+    type: 'http',
+    scheme: 'bearer',
+    bearerFormat: 'JWT',
+    description: 'Session token from GET /api/signed-url'
+  },
+  agentToolsSecret: {
+    type: 'apiKey',
+    in: 'header',
+    name: 'X-Agent-Tools-Secret',
+    description: 'Shared AGENT_TOOLS_SECRET, for ElevenLabs server tools'
+  },
+  elevenLabsSignature: {
+    type: 'apiKey',
+    in: 'header',
+    name: 'ElevenLabs-Signature',
+    description: 'HMAC signature of the webhook body'
+  },
+  cronSecret: {
+    type: 'http',
+    scheme: 'bearer',
+    description: 'Shared CRON_SECRET, for scheduled jobs'
+  }
+};
+
+// Security requirement for each route auth mode; an empty object means optional
+const SECURITY = {
+  token: [{ sessionToken: [] }],
+  optional: [{}, { sessionToken: [] }],
+  tools: [{ sessionToken: [] }, { agentToolsSecret: [] }],
+  signature: [{ elevenLabsSignature: [] }],
+  cron: [{ cronSecret: [] }],
+  none: []
+};
+
+const errorResponse = (description, schema = 'Error') => ({
+  description,
+  content: { 'application/json': { schema: { $ref: `#/components/schemas/${schema}` } } }
+});
+
+// 429s carry a Retry-After header (see rate-limiter.js)
+const rateLimitedResponse = (description) => ({
+  ...errorResponse(description, 'RateLimited'),
+  headers: {
+    'Retry-After': { description: 'Seconds to wait before trying again', schema: { type: 'integer' } }
+  }
+});
+
+// Express "/api/users/:userId" -> OpenAPI "/api/users/{userId}"
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+// Path parameters come from the route path unless the route describes them
+const buildParameters = (route) => {
+  const pathNames = (route.path.match(/:(\w+)/g) || []).map(param => param.slice(1));
+  const params = route.params || { properties: {} };
+
+  const pathParameters = pathNames.map(paramName => ({
+    name: paramName,
+    in: 'path',
+    required: true,
+    schema: params.properties[paramName] || { type: 'string' }
+  }));
+
+  const query = route.query || { properties: {}, required: [] };
+  const queryParameters = Object.entries(query.properties).map(([paramName, schema]) => {
+    const { description: paramDescription, ...paramSchema } = schema;
+    return {
+      name: paramName,
+      in: 'query',
+      required: (query.required || []).includes(paramName),
+      ...(paramDescription ? { description: paramDescription } : {}),
+      schema: paramSchema
+    };
+  });
+
+  return [...pathParameters, ...queryParameters];
+};
+
+const buildResponses = (route) => {
+  const responses = {
+    200: {
+      description: 'OK',
+      content: { 'application/json': { schema: route.response || { type: 'object' } } }
+    }
+  };
+
+  if (route.params || route.query || route.body) {
+    responses[400] = errorResponse('Invalid request; fields lists what is wrong with each field', 'ValidationError');
+  }
+  if (route.auth === 'token' || route.auth === 'tools') {
+    responses[401] = errorResponse('Missing or invalid session token');
+    responses[403] = errorResponse('Not allowed to access this user or session');
+  }
+  // Webhooks from ElevenLabs and scheduled jobs aren't rate limited; everything else is
+  if (route.auth !== 'signature' && route.auth !== 'cron') {
+    responses[429] = rateLimitedResponse('Too many requests');
+  }
+  Object.entries(route.errors || {}).forEach(([status, meaning]) => {
+    responses[status] = status === '429' ? rateLimitedResponse(meaning) : errorResponse(meaning);
+  });
+  if (!responses[500]) {
+    responses[500] = errorResponse('Unexpected server error');
+  }
+
+  return responses;
+};
+
+const buildOperation = (operationId, route) => {
+  const operation = {
+    operationId,
+    summary: route.summary,
+    tags: [route.tag],
+    security: SECURITY[route.auth],
+    parameters: buildParameters(route),
+    responses: buildResponses(route)
+  };
+
+  if (route.description) {
+    operation.description = route.description;
+  }
+  if (route.body) {
+    operation.requestBody = {
+      required: (route.body.required || []).length > 0,
+      content: { 'application/json': { schema: route.body } }
+    };
+  }
+  if (operation.parameters.length === 0) {
+    delete operation.parameters;
+  }
+
+  return operation;
+};
+
+function buildOpenApiDocument({ baseUrl } = {}) {
+  const paths = {};
+  Object.entries(routes).forEach(([operationId, route]) => {
+    const path = toOpenApiPath(route.path);
+    paths[path] = paths[path] || {};
+    paths[path][route.method] = buildOperation(operationId, route);
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: name,
+      version,
+      description
+    },
+    ...(baseUrl ? { servers: [{ url: baseUrl }] } : {}),
+    paths,
+    components: {
+      schemas: components,
+      securitySchemes: SECURITY_SCHEMES
+    }
+  };
+}
+
+module.exports = {
+  buildOpenApiDocument
+};
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Registry of agent personas (e.g. mom, tutor, coach). Each persona has its
+// own ElevenLabs agent, prompt templates and memory namespace, so facts told
+// to one persona aren't recalled by another. Personas are read from the JSON
+// file at PERSONAS_PATH (default personas.json, see personas.example.json):
+//
+//   {
+//     "defaultPersona": "mom",
+//     "personas": {
+//       "mom": {
+//         "name": "Mom",
+//         "agentIdEnv": "MOM_AGENT_ID",   // or "agentId": "<id>"
+//         "memoryNamespace": "mom",       // defaults to the persona ID
+//         "templates": { "firstMessage": "Hi beta! ..." }
+//       }
+//     }
+//   }
+//
+// Without a config file there is a single "default" persona using AGENT_ID,
+// whose memories are unscoped as they were before personas existed.
+
+const DEFAULT_PERSONA_ID = 'default';
+
+let cachedRegistry = null;
+
+const normalizePersona = (id, config) => ({
+  id,
+  name: config.name || id,
+  agentId: config.agentId || (config.agentIdEnv && process.env[config.agentIdEnv]) || null,
+  memoryNamespace: config.memoryNamespace === undefined ? id : config.memoryNamespace,
+  templates: config.templates || {},
+  language: config.language || null
+});
+
+const buildDefaultRegistry = () => ({
+  defaultPersona: DEFAULT_PERSONA_ID,
+  personas: {
+    [DEFAULT_PERSONA_ID]: normalizePersona(DEFAULT_PERSONA_ID, {
+      name: 'Default',
+      agentIdEnv: 'AGENT_ID',
+      memoryNamespace: null
+    })
+  }
+});
+
+const loadRegistry = () => {
+  if (cachedRegistry) {
+    return cachedRegistry;
+  }
+
+  const configPath = path.resolve(process.env.PERSONAS_PATH || 'personas.json');
+  if (!fs.existsSync(configPath)) {
+    if (process.env.PERSONAS_PATH) {
+      logger.error('Persona config not found, using the default persona', { configPath });
+    }
+    cachedRegistry = buildDefaultRegistry();
+    return cachedRegistry;
+  }
+
+  try {
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    const personas = {};
+    Object.entries(config.personas || {}).forEach(([id, personaConfig]) => {
+      personas[id] = normalizePersona(id, personaConfig);
+    });
+
+    const ids = Object.keys(personas);
+    if (ids.length === 0) {
+      throw new Error('no personas defined');
+    }
+
+    cachedRegistry = {
+      defaultPersona: personas[config.defaultPersona] ? config.defaultPersona : ids[0],
+      personas
+    };
+  } catch (error) {
+    logger.error('Could not load personas, using the default persona', { configPath, error });
+    cachedRegistry = buildDefaultRegistry();
+  }
+
+  return cachedRegistry;
+};
+
+const getDefaultPersonaId = () => loadRegistry().defaultPersona;
+
+// Look up a persona; no ID means the default persona, an unknown ID means null
+const getPersona = (personaId) => {
+  const registry = loadRegistry();
+  return registry.personas[personaId || registry.defaultPersona] || null;
+};
+
+const listPersonas = () => Object.values(loadRegistry().personas);
+
+// Namespace memories are stored under for a persona; null means unscoped
+const getMemoryNamespace = (personaId) => {
+  const persona = getPersona(personaId);
+  return persona ? persona.memoryNamespace : null;
+};
+
+// Drop the cached registry so the next lookup re-reads the config
+const reloadPersonas = () => {
+  cachedRegistry = null;
+  return loadRegistry();
+};
+
+module.exports = {
+  getPersona,
+  getDefaultPersonaId,
+  listPersonas,
+  getMemoryNamespace,
+  reloadPersonas
+};
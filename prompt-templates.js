@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Templates for the per-session ElevenLabs conversation overrides returned by
+// /api/signed-url. Defaults can be replaced with a JSON file at
+// PROMPT_TEMPLATES_PATH holding any of the keys below. Placeholders such as
+// {{time_of_day}} are filled from the agent context's dynamic variables.
+
+const DEFAULT_TEMPLATES = {
+  // Base agent prompt. When empty we leave the agent's own prompt alone and
+  // only send the additions as the {{system_prompt_additions}} variable.
+  basePrompt: '',
+
+  timeRules: [
+    'It is currently {{current_time}} ({{day_of_week}} {{time_of_day}}) for the user.',
+    'When the user asks you to wait or pause, stay silent for the full time they asked for before replying.',
+    'When the user asks for a reminder, confirm the task and the exact time back to them.',
+    'Never guess the time or date; use the current time above.'
+  ].join('\n'),
+
+  systemPromptAdditions: [
+    '## Time handling',
+    '{{time_rules}}',
+    '',
+    '## What you know',
+    '{{agent_context}}'
+  ].join('\n'),
+
+  firstMessage: 'Hi! Good {{time_of_day}}. How can I help you today?',
+
+  returningFirstMessage: 'Welcome back! Good {{time_of_day}}. Shall we pick up where we left off?'
+};
+
+let cachedTemplates = null;
+
+const loadTemplates = () => {
+  if (cachedTemplates) {
+    return cachedTemplates;
+  }
+
+  cachedTemplates = { ...DEFAULT_TEMPLATES };
+  const templatesPath = process.env.PROMPT_TEMPLATES_PATH;
+  if (templatesPath) {
+    try {
+      const overrides = JSON.parse(fs.readFileSync(path.resolve(templatesPath), 'utf8'));
+      cachedTemplates = { ...cachedTemplates, ...overrides };
+    } catch (error) {
+      logger.error('Could not load prompt templates, using defaults', { templatesPath, error });
+    }
+  }
+  return cachedTemplates;
+};
+
+// Replace {{name}} placeholders; unknown placeholders become empty strings
+const render = (template, variables) => (template || '')
+  .replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, name) => (variables[name] !== undefined ? String(variables[name]) : ''))
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+// Build the overrides for one session from its assembled agent context
+// (see context-assembler.js). The shape matches the ElevenLabs client SDK's
+// `overrides` option for startSession.
+const buildConversationOverrides = (agentContext, options = {}) => {
+  const templates = { ...loadTemplates(), ...(options.templates || {}) };
+  const variables = {
+    ...agentContext.dynamicVariables,
+    agent_context: agentContext.prompt
+  };
+  variables.time_rules = render(templates.timeRules, variables);
+
+  const systemPromptAdditions = render(templates.systemPromptAdditions, variables);
+  const isReturningUser = Boolean(options.isReturningUser);
+  const firstMessage = render(
+    isReturningUser ? templates.returningFirstMessage : templates.firstMessage,
+    variables
+  );
+
+  const agent = { firstMessage };
+  if (templates.basePrompt) {
+    agent.prompt = {
+      prompt: `${render(templates.basePrompt, variables)}\n\n${systemPromptAdditions}`
+    };
+  }
+  if (options.language) {
+    agent.language = options.language;
+  }
+
+  return {
+    conversationOverrides: { agent },
+    systemPromptAdditions,
+    dynamicVariables: {
+      ...agentContext.dynamicVariables,
+      system_prompt_additions: systemPromptAdditions
+    }
+  };
+};
+
+module.exports = {
+  buildConversationOverrides,
+  render,
+  DEFAULT_TEMPLATES
+};
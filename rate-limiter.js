@@ -0,0 +1,206 @@
+const { getSessionStore } = require('./session-store');
+const logger = require('./logger');
+
+// Request rate limits and daily per-user quotas. Counters live in a rate
+// limit store with one method:
+//   increment(key, amount, windowMs) -> { count, resetAt }
+// which adds to the counter for key, starting a new window of windowMs once
+// the previous one has ended. The in-memory store suits a single server; set
+// RATE_LIMIT_STORE=shared to keep counters in the session store (file or
+// Redis) so every instance shares them, or pass your own to setRateLimitStore.
+
+const RATE_LIMITS = 'rate-limits';
+
+// Fixed-window limits: at most `max` requests per `windowSeconds`. Each can
+// be changed with <PREFIX>_MAX and <PREFIX>_WINDOW_SECONDS; a max of 0 turns
+// the limit off.
+const LIMIT_DEFAULTS = {
+  ip: { env: 'RATE_LIMIT_IP', max: 300, windowSeconds: 60 },
+  user: { env: 'RATE_LIMIT_USER', max: 120, windowSeconds: 60 },
+  signedUrlIp: { env: 'RATE_LIMIT_SIGNED_URL_IP', max: 10, windowSeconds: 60 },
+  signedUrlUser: { env: 'RATE_LIMIT_SIGNED_URL_USER', max: 30, windowSeconds: 60 * 60 }
+};
+
+// Per-user allowances that reset at midnight UTC; 0 means unlimited
+const QUOTA_DEFAULTS = {
+  conversationMinutes: { env: 'CONVERSATION_MINUTES_PER_DAY', max: 60 },
+  memoryWrites: { env: 'MEMORY_WRITES_PER_DAY', max: 200 }
+};
+
+// Drop finished windows from the in-memory store once it holds this many keys
+const MEMORY_STORE_SWEEP_SIZE = 10000;
+
+const getSetting = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const getLimit = (name) => {
+  const defaults = LIMIT_DEFAULTS[name];
+  return {
+    max: getSetting(`${defaults.env}_MAX`, defaults.max),
+    windowMs: Math.max(1, getSetting(`${defaults.env}_WINDOW_SECONDS`, defaults.windowSeconds)) * 1000
+  };
+};
+
+const getQuotaLimit = (name) => getSetting(QUOTA_DEFAULTS[name].env, QUOTA_DEFAULTS[name].max);
+
+const createMemoryRateLimitStore = () => {
+  const counters = new Map();
+
+  const sweep = (now) => {
+    counters.forEach((counter, key) => {
+      if (counter.resetAt <= now) {
+        counters.delete(key);
+      }
+    });
+  };
+
+  return {
+    type: 'memory',
+
+    increment: async (key, amount, windowMs) => {
+      const now = Date.now();
+      if (counters.size >= MEMORY_STORE_SWEEP_SIZE) {
+        sweep(now);
+      }
+
+      const current = counters.get(key);
+      const counter = current && current.resetAt > now
+        ? { count: current.count + amount, resetAt: current.resetAt }
+        : { count: amount, resetAt: now + windowMs };
+      counters.set(key, counter);
+      return counter;
+    }
+  };
+};
+
+// Counters kept in the shared session store. Increments from two instances at
+// the same moment can race, so limits are approximate under heavy load.
+const createSharedRateLimitStore = (store = getSessionStore()) => ({
+  type: `shared:${store.type}`,
+
+  increment: async (key, amount, windowMs) => {
+    const now = Date.now();
+    const current = await store.get(RATE_LIMITS, key);
+    const counter = current && current.resetAt > now
+      ? { count: current.count + amount, resetAt: current.resetAt }
+      : { count: amount, resetAt: now + windowMs };
+    await store.set(RATE_LIMITS, key, counter, { ttlMs: Math.max(1, counter.resetAt - now) });
+    return counter;
+  }
+});
+
+const rateLimitStores = {
+  memory: () => createMemoryRateLimitStore(),
+  shared: () => createSharedRateLimitStore()
+};
+
+let rateLimitStore = null;
+
+const getRateLimitStore = () => {
+  if (!rateLimitStore) {
+    const type = process.env.RATE_LIMIT_STORE || 'memory';
+    const factory = rateLimitStores[type];
+    if (!factory) {
+      throw new Error(`Unknown rate limit store "${type}". Available: ${Object.keys(rateLimitStores).join(', ')}`);
+    }
+    rateLimitStore = factory();
+  }
+  return rateLimitStore;
+};
+
+const setRateLimitStore = (store) => {
+  rateLimitStore = store;
+};
+
+const secondsUntil = (time) => Math.max(1, Math.ceil((time - Date.now()) / 1000));
+
+// Count a request against a limit for `id` (an IP or user ID). Returns
+// { allowed, limit, remaining, retryAfterSeconds }.
+async function hit(name, id) {
+  const { max, windowMs } = getLimit(name);
+  if (max === 0) {
+    return { allowed: true, limit: 0, remaining: Infinity, retryAfterSeconds: 0 };
+  }
+
+  const { count, resetAt } = await getRateLimitStore().increment(`limit:${name}:${id}`, 1, windowMs);
+  return {
+    allowed: count <= max,
+    limit: max,
+    remaining: Math.max(0, max - count),
+    retryAfterSeconds: secondsUntil(resetAt)
+  };
+}
+
+// Start of the next UTC day, when daily quotas reset
+const nextUtcMidnight = (now = new Date()) => Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+
+// Use `amount` of a user's daily quota (0 just reads it). Returns
+// { used, limit, remaining, exhausted, retryAfterSeconds }.
+async function consumeQuota(name, userId, amount = 1) {
+  const limit = getQuotaLimit(name);
+  const resetAt = nextUtcMidnight();
+  if (limit === 0) {
+    return { used: 0, limit: 0, remaining: Infinity, exhausted: false, retryAfterSeconds: 0 };
+  }
+
+  const day = new Date(resetAt - 1).toISOString().slice(0, 10);
+  const { count } = await getRateLimitStore().increment(`quota:${name}:${userId}:${day}`, amount, resetAt - Date.now());
+  return {
+    used: count,
+    limit,
+    remaining: Math.max(0, limit - count),
+    exhausted: count >= limit,
+    retryAfterSeconds: secondsUntil(resetAt)
+  };
+}
+
+const getQuotaUsage = (name, userId) => consumeQuota(name, userId, 0);
+
+// The 429 every limit sends, with Retry-After in seconds
+const rejectTooManyRequests = (res, { error, retryAfterSeconds, limit }) => {
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({ error, limit, retryAfterSeconds });
+};
+
+// Express middleware applying a limit per key; keyFor(req) returns the IP or
+// user ID to count against, or nothing to let the request through uncounted
+const rateLimit = (name, keyFor) => async (req, res, next) => {
+  try {
+    const key = keyFor(req);
+    if (!key) {
+      return next();
+    }
+
+    const result = await hit(name, key);
+    if (result.limit > 0) {
+      res.set('RateLimit-Limit', String(result.limit));
+      res.set('RateLimit-Remaining', String(result.remaining));
+    }
+    if (!result.allowed) {
+      return rejectTooManyRequests(res, {
+        error: 'Too many requests, try again later',
+        limit: name,
+        retryAfterSeconds: result.retryAfterSeconds
+      });
+    }
+    next();
+  } catch (error) {
+    // A broken limiter shouldn't take the API down with it
+    logger.error('Error applying rate limit', { limit: name, error });
+    next();
+  }
+};
+
+module.exports = {
+  createMemoryRateLimitStore,
+  createSharedRateLimitStore,
+  getRateLimitStore,
+  setRateLimitStore,
+  hit,
+  consumeQuota,
+  getQuotaUsage,
+  rateLimit,
+  rejectTooManyRequests
+};
@@ -0,0 +1,223 @@
+const moment = require('moment-timezone');
+const durationParser = require('./duration-parser');
+
+// Parses reminder requests in English and Hinglish into an absolute due time
+// in the user's timezone, optionally with a daily or weekly recurrence:
+//   "remind me in 10 minutes to call mom"
+//   "remind me at 7pm to take medicine", "remind me tomorrow morning to pay rent"
+//   "kal subah 8 baje yaad dila dena dawai lena"
+//   "remind me every day at 9 to drink water", "har Monday gym jaana yaad dila dena"
+// Relative durations ("in two hours", "das minute baad") and the reminder
+// trigger phrases come from the shared locale table in duration-parser.js.
+
+const WEEKDAYS = {
+  sunday: 0, ravivar: 0, raviwar: 0, itvaar: 0, itwar: 0,
+  monday: 1, somvar: 1, somwar: 1,
+  tuesday: 2, mangalvar: 2, mangalwar: 2,
+  wednesday: 3, budhvar: 3, budhwar: 3,
+  thursday: 4, guruvar: 4, guruwar: 4, brihaspativar: 4,
+  friday: 5, shukravar: 5, shukrawar: 5,
+  saturday: 6, shanivar: 6, shaniwar: 6
+};
+
+const PARTS_OF_DAY = [
+  { pattern: /\btonight\b/i, hour: 21, meridiem: 'pm', dayOffset: 0 },
+  { pattern: /\b(?:morning|subah|savere)\b/i, hour: 8, meridiem: 'am' },
+  { pattern: /\b(?:afternoon|dopahar|dopehar)\b/i, hour: 14, meridiem: 'pm' },
+  { pattern: /\b(?:evening|shaam|sham)\b/i, hour: 18, meridiem: 'pm' },
+  { pattern: /\b(?:night|raat)\b/i, hour: 21, meridiem: 'pm' }
+];
+
+const DAY_OFFSETS = [
+  { pattern: /\b(?:day after tomorrow|parso|parson)\b/i, days: 2 },
+  { pattern: /\b(?:tomorrow|kal)\b/i, days: 1 },
+  { pattern: /\b(?:today|aaj)\b/i, days: 0 }
+];
+
+const WEEKDAY_NAMES = Object.keys(WEEKDAYS).join('|');
+const WEEKLY_PATTERN = new RegExp(`\\b(?:every|har)\\s+(${WEEKDAY_NAMES})\\b`, 'i');
+const DAILY_PATTERN = /\b(?:every\s*day|daily|har\s+din|roz(?:ana)?)\b/i;
+
+const TIME_PATTERNS = [
+  /\bat\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?(?=\s|$|[.,!?])/i,
+  /\b(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)(?=\s|$|[.,!?])/i,
+  /\b(\d{1,2})(?::(\d{2}))?\s*baje\b()/i
+];
+
+// Default hour when only a day or recurrence is given ("remind me tomorrow to ...")
+const DEFAULT_HOUR = 9;
+
+const resolveTimezone = (timezone) => (timezone && moment.tz.zone(timezone)
+  ? timezone
+  : process.env.DEFAULT_TIMEZONE || 'UTC');
+
+const hasReminderIntent = (message) => durationParser.hasReminderTrigger(message);
+
+// Strip the trigger phrase and connecting words, leaving just the task
+const cleanTask = (text) => text
+  .replace(/\bremind me\b/ig, ' ')
+  .replace(/\byaad dila(?:na|o|\s*dena|\s*do)\b/ig, ' ')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .replace(/^(?:to|that|about)\s+/i, '')
+  .replace(/\s+(?:to|at|on)$/i, '')
+  .replace(/[\s.,!?]+$/, '')
+  .trim();
+
+// Next time a daily/weekly recurrence fires strictly after `after`
+const getNextOccurrence = (recurrence, after = Date.now()) => {
+  const timezone = resolveTimezone(recurrence.timezone);
+  const from = moment.tz(after, timezone);
+  const next = from.clone().set({
+    hour: recurrence.hour,
+    minute: recurrence.minute,
+    second: 0,
+    millisecond: 0
+  });
+
+  if (recurrence.frequency === 'weekly') {
+    next.day(recurrence.dayOfWeek);
+    if (!next.isAfter(from)) {
+      next.add(1, 'week');
+    }
+  } else if (!next.isAfter(from)) {
+    next.add(1, 'day');
+  }
+
+  return next.valueOf();
+};
+
+// Returns { task, reminderTime, durationInSeconds, timezone, recurrence } or null
+const parseReminderRequest = (message, options = {}) => {
+  if (!hasReminderIntent(message)) {
+    return null;
+  }
+
+  const timezone = resolveTimezone(options.timezone);
+  const now = moment.tz(options.now || Date.now(), timezone);
+
+  const relative = durationParser.parseRelativeReminder(message);
+  if (relative) {
+    return {
+      ...relative,
+      reminderTime: now.clone().add(relative.durationInSeconds, 'seconds').valueOf(),
+      timezone,
+      recurrence: null
+    };
+  }
+
+  // Pull each time expression out of the message; what's left is the task
+  let remaining = ` ${message} `;
+  const take = (pattern) => {
+    const match = remaining.match(pattern);
+    if (match) {
+      remaining = remaining.replace(match[0], ' ');
+    }
+    return match;
+  };
+
+  let frequency = null;
+  let dayOfWeek = null;
+  const weekly = take(WEEKLY_PATTERN);
+  if (weekly) {
+    frequency = 'weekly';
+    dayOfWeek = WEEKDAYS[weekly[1].toLowerCase()];
+  } else if (take(DAILY_PATTERN)) {
+    frequency = 'daily';
+  }
+
+  let dayOffset = null;
+  for (const { pattern, days } of DAY_OFFSETS) {
+    if (take(pattern)) {
+      dayOffset = days;
+      break;
+    }
+  }
+
+  let partOfDay = null;
+  for (const part of PARTS_OF_DAY) {
+    if (take(part.pattern)) {
+      partOfDay = part;
+      if (dayOffset === null && part.dayOffset !== undefined) {
+        dayOffset = part.dayOffset;
+      }
+      break;
+    }
+  }
+
+  let time = null;
+  for (const pattern of TIME_PATTERNS) {
+    const match = take(pattern);
+    if (match) {
+      time = {
+        hour: parseInt(match[1], 10),
+        minute: match[2] ? parseInt(match[2], 10) : 0,
+        meridiem: match[3] ? match[3].toLowerCase().replace(/\./g, '') : null
+      };
+      break;
+    }
+  }
+
+  if (!frequency && dayOffset === null && !partOfDay && !time) {
+    return null;
+  }
+  if (time && (time.hour > 23 || time.minute > 59)) {
+    return null;
+  }
+
+  let hour = DEFAULT_HOUR;
+  let minute = 0;
+  const meridiem = (time && time.meridiem) || (partOfDay && partOfDay.meridiem);
+  if (time) {
+    hour = time.hour;
+    minute = time.minute;
+    if (meridiem === 'pm' && hour < 12) {
+      hour += 12;
+    } else if (meridiem === 'am' && hour === 12) {
+      hour = 0;
+    }
+  } else if (partOfDay) {
+    hour = partOfDay.hour;
+  }
+
+  const task = cleanTask(remaining);
+  if (!task) {
+    return null;
+  }
+
+  let reminderTime;
+  let recurrence = null;
+  if (frequency) {
+    recurrence = { frequency, dayOfWeek, hour, minute, timezone };
+    reminderTime = getNextOccurrence(recurrence, now.valueOf());
+  } else {
+    const candidate = now.clone()
+      .add(dayOffset || 0, 'days')
+      .set({ hour, minute, second: 0, millisecond: 0 });
+
+    // "at 9" with no am/pm means the next 9 o'clock, which may be this evening
+    const ambiguous = time && !meridiem && hour >= 1 && hour < 12;
+    if (ambiguous && !candidate.isAfter(now)) {
+      candidate.add(12, 'hours');
+    }
+    if (!candidate.isAfter(now)) {
+      candidate.add(1, 'day');
+    }
+    reminderTime = candidate.valueOf();
+  }
+
+  return {
+    task,
+    reminderTime,
+    durationInSeconds: Math.max(0, Math.round((reminderTime - now.valueOf()) / 1000)),
+    timezone,
+    recurrence
+  };
+};
+
+module.exports = {
+  parseReminderRequest,
+  getNextOccurrence,
+  hasReminderIntent,
+  resolveTimezone
+};
@@ -0,0 +1,285 @@
+const { v4: uuidv4 } = require('uuid');
+const { getSessionStore } = require('./session-store');
+const { getNextOccurrence } = require('./reminder-parser');
+const logger = require('./logger');
+
+// Reminders are stored with an absolute due time (reminderTime) in the shared
+// session store and fired by a polling tick instead of setTimeout, so they
+// survive restarts and can be caught up on by whichever instance runs next.
+const REMINDERS = 'reminders';
+
+// Two indexes keep reads from loading every user's reminders: one namespace
+// per user holding their reminder IDs (with the session each was set in), and
+// one holding the time each undelivered reminder next needs looking at
+const REMINDERS_DUE = 'reminders-due';
+const userIndex = (userId) => `reminders-of:${userId}`;
+
+// Completed reminders are kept around for a day before the store drops them
+const COMPLETED_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+const getNumberSetting = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const settings = {
+  pollIntervalMs: getNumberSetting('REMINDER_POLL_INTERVAL_MS', 1000),
+  maxAttempts: getNumberSetting('REMINDER_MAX_ATTEMPTS', 5),
+  retryBaseMs: getNumberSetting('REMINDER_RETRY_BASE_MS', 2000),
+  leaseMs: getNumberSetting('REMINDER_LEASE_MS', 30000)
+};
+
+// Handlers run for every reminder that comes due; in-process callbacks passed
+// to setReminder are kept separately since functions can't be persisted
+const triggerHandlers = [];
+const reminderCallbacks = new Map();
+
+let pollTimer = null;
+let ticking = false;
+
+// When tick next has to look at a reminder: its due time, pushed back by a
+// retry delay or another instance's lease; null once there's nothing to deliver
+const nextCheckAt = (reminder) => {
+  if (reminder.isCompleted || reminder.deliveredAt || reminder.failed) {
+    return null;
+  }
+  return Math.max(reminder.reminderTime, reminder.nextAttemptAt || 0, reminder.lockedUntil || 0);
+};
+
+const byDueTime = (a, b) => a.reminderTime - b.reminderTime;
+
+async function saveReminder(reminder) {
+  const store = getSessionStore();
+  const options = reminder.isCompleted ? { ttlMs: COMPLETED_RETENTION_MS } : {};
+  await store.set(REMINDERS, reminder.id, reminder, options);
+  if (reminder.userId) {
+    await store.set(userIndex(reminder.userId), reminder.id, { sessionId: reminder.sessionId || null }, options);
+  }
+
+  const checkAt = nextCheckAt(reminder);
+  if (checkAt === null) {
+    await store.delete(REMINDERS_DUE, reminder.id);
+  } else {
+    await store.set(REMINDERS_DUE, reminder.id, checkAt);
+  }
+  return reminder;
+}
+
+async function getReminder(reminderId) {
+  return getSessionStore().get(REMINDERS, reminderId);
+}
+
+const loadReminders = async (reminderIds) => {
+  const reminders = await Promise.all(reminderIds.map(getReminder));
+  return reminders.filter(Boolean);
+};
+
+// Every user's reminders; prefer listUserReminders, which only reads one user's
+async function listReminders(filter = () => true) {
+  const entries = await getSessionStore().list(REMINDERS);
+  return entries
+    .map(entry => entry.value)
+    .filter(filter)
+    .sort(byDueTime);
+}
+
+// A user's reminders, optionally only those set in one session
+async function listUserReminders(userId, { sessionId } = {}) {
+  const entries = await getSessionStore().list(userIndex(userId));
+  const reminders = await loadReminders(entries
+    .filter(entry => !sessionId || entry.value.sessionId === sessionId)
+    .map(entry => entry.key));
+  return reminders.sort(byDueTime);
+}
+
+async function deleteReminder(reminderId) {
+  reminderCallbacks.delete(reminderId);
+  const store = getSessionStore();
+  const reminder = await getReminder(reminderId);
+  if (reminder && reminder.userId) {
+    await store.delete(userIndex(reminder.userId), reminderId);
+  }
+  await store.delete(REMINDERS_DUE, reminderId);
+  return store.delete(REMINDERS, reminderId);
+}
+
+// Add a new reminder; callback only fires if this process is still running
+async function scheduleReminder(reminder, callback) {
+  const scheduled = {
+    isCompleted: false,
+    wasTriggered: false,
+    attempts: 0,
+    nextAttemptAt: null,
+    lockedUntil: null,
+    deliveredAt: null,
+    failed: false,
+    lastError: null,
+    ...reminder
+  };
+
+  if (callback && typeof callback === 'function') {
+    reminderCallbacks.set(scheduled.id, callback);
+  }
+
+  return saveReminder(scheduled);
+}
+
+// Register a handler for triggered reminders; returns an unsubscribe function
+function onReminderTriggered(handler) {
+  triggerHandlers.push(handler);
+  return () => {
+    const index = triggerHandlers.indexOf(handler);
+    if (index !== -1) {
+      triggerHandlers.splice(index, 1);
+    }
+  };
+}
+
+const isDue = (reminder, now) => !reminder.isCompleted &&
+  !reminder.deliveredAt &&
+  !reminder.failed &&
+  reminder.reminderTime <= now &&
+  (!reminder.nextAttemptAt || reminder.nextAttemptAt <= now) &&
+  (!reminder.lockedUntil || reminder.lockedUntil <= now);
+
+// Deliver one due reminder to every handler. Each delivery carries a stable
+// deliveryId so consumers can ignore repeats after a retry or a crash.
+async function deliverReminder(reminder) {
+  const now = Date.now();
+  const claimed = {
+    ...reminder,
+    wasTriggered: true,
+    triggeredAt: reminder.triggeredAt || now,
+    attempts: reminder.attempts + 1,
+    lockedUntil: now + settings.leaseMs
+  };
+  await saveReminder(claimed);
+
+  const delivery = {
+    ...claimed,
+    deliveryId: `${claimed.id}:${claimed.reminderTime}`
+  };
+
+  try {
+    const callback = reminderCallbacks.get(claimed.id);
+    if (callback) {
+      await callback(delivery);
+    }
+    for (const handler of triggerHandlers) {
+      await handler(delivery);
+    }
+
+    const delivered = {
+      ...claimed,
+      deliveredAt: Date.now(),
+      lockedUntil: null,
+      lastError: null
+    };
+
+    if (claimed.recurrence) {
+      return rescheduleRecurring(delivered);
+    }
+
+    reminderCallbacks.delete(claimed.id);
+    return saveReminder(delivered);
+  } catch (error) {
+    const failed = claimed.attempts >= settings.maxAttempts;
+    logger.error('Error delivering reminder', { reminderId: claimed.id, attempt: claimed.attempts, failed, error });
+
+    return saveReminder({
+      ...claimed,
+      lockedUntil: null,
+      lastError: error.message,
+      failed,
+      nextAttemptAt: failed ? null : Date.now() + settings.retryBaseMs * Math.pow(2, claimed.attempts - 1)
+    });
+  }
+}
+
+// Keep the fired occurrence as its own one-off record, so it can still be
+// picked up through getPendingReminders, and move the series to its next time
+async function rescheduleRecurring(delivered) {
+  await saveReminder({
+    ...delivered,
+    id: uuidv4(),
+    seriesId: delivered.id,
+    recurrence: null
+  });
+
+  // Skip occurrences missed while the process was down rather than firing them all
+  const nextTime = getNextOccurrence(delivered.recurrence, Math.max(delivered.reminderTime, Date.now()));
+  return saveReminder({
+    ...delivered,
+    reminderTime: nextTime,
+    durationInSeconds: Math.max(0, Math.round((nextTime - Date.now()) / 1000)),
+    wasTriggered: false,
+    triggeredAt: null,
+    deliveredAt: null,
+    attempts: 0,
+    nextAttemptAt: null,
+    occurrences: (delivered.occurrences || 0) + 1
+  });
+}
+
+// Fire every reminder that has come due; safe to call from request handlers
+async function tick() {
+  if (ticking) {
+    return [];
+  }
+  ticking = true;
+
+  try {
+    const now = Date.now();
+    const entries = await getSessionStore().list(REMINDERS_DUE);
+    const due = (await loadReminders(entries.filter(entry => entry.value <= now).map(entry => entry.key)))
+      .filter(reminder => isDue(reminder, now))
+      .sort(byDueTime);
+    const delivered = [];
+
+    for (const reminder of due) {
+      logger.info('Triggering reminder', { reminderId: reminder.id, sessionId: reminder.sessionId });
+      delivered.push(await deliverReminder(reminder));
+    }
+
+    return delivered;
+  } finally {
+    ticking = false;
+  }
+}
+
+// Recover reminders that came due while the process was down, then keep polling
+function start() {
+  if (pollTimer) {
+    return;
+  }
+
+  tick().catch(error => logger.error('Error recovering reminders', { error }));
+  pollTimer = setInterval(() => {
+    tick().catch(error => logger.error('Error polling reminders', { error }));
+  }, settings.pollIntervalMs);
+
+  // Don't keep the process alive just for the poller
+  if (pollTimer.unref) {
+    pollTimer.unref();
+  }
+}
+
+function stop() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+module.exports = {
+  scheduleReminder,
+  saveReminder,
+  getReminder,
+  listReminders,
+  listUserReminders,
+  deleteReminder,
+  onReminderTriggered,
+  tick,
+  start,
+  stop
+};
@@ -3,23 +3,89 @@ const cors = require("cors");
 const dotenv = require("dotenv");
 const path = require("path");
 const { v4: uuidv4 } = require("uuid");
-const { memoryManager, sessionManager, timeContextManager } = require("./memory-manager");
+const { memoryManager, sessionManager, timeContextManager, activeConversations } = require("./memory-manager");
 const delayHandler = require('./delay-handler');
+const { getSessionStore, getSessionIdleTimeoutMs } = require('./session-store');
+const reminderScheduler = require('./reminder-scheduler');
+const reminderParser = require('./reminder-parser');
+const eventStream = require('./event-stream');
+const auth = require('./auth');
+const userData = require('./user-data');
+const conversationLog = require('./conversation-log');
+const { assembleAgentContext } = require('./context-assembler');
+const { buildConversationOverrides } = require('./prompt-templates');
+const elevenLabs = require('./elevenlabs-client');
+const elevenLabsWebhook = require('./elevenlabs-webhook');
+const agentTools = require('./agent-tools');
+const personas = require('./personas');
+const userProfiles = require('./user-profiles');
+const rateLimiter = require('./rate-limiter');
+const logger = require('./logger');
+const { AppError, SessionNotFound, MemoryNotFound, ReminderNotFound, MemoryUnavailable, sendError } = require('./errors');
+const { validateRequest, rejectRequest } = require('./validation');
+const { routes: apiRoutes } = require('./api-schemas');
+const { buildOpenApiDocument } = require('./openapi');
 
 dotenv.config();
 
 const app = express();
 
+// Every request gets an ID: the X-Request-Id a proxy already set, or a new
+// one. It's sent back in X-Request-Id and in error bodies, and every log line
+// the request causes carries it (see logger.js).
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+app.use((req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : uuidv4();
+  res.set("X-Request-Id", req.id);
+  
+  const startedAt = Date.now();
+  res.on("finish", () => {
+    logger.info("Request completed", {
+      requestId: req.id,
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt
+    });
+  });
+  
+  logger.withContext({ requestId: req.id }, next);
+});
+
+// Behind a load balancer or proxy, set TRUST_PROXY (e.g. "1" or "true") so
+// req.ip, which the rate limits key on, is the client's address
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set("trust proxy", trustProxy === "true" ? true : (/^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy));
+}
+
 // Update CORS to allow requests from your frontend domain
 app.use(cors({
   origin: ["https://hackthon-frontend-tau.vercel.app", "http://localhost:3000"],
-  methods: ["GET", "POST"],
+  methods: ["GET", "POST", "PUT", "PATCH", "DELETE"],
+  exposedHeaders: ["X-Request-Id", "Retry-After", "RateLimit-Limit", "RateLimit-Remaining"],
   credentials: true
 }));
-app.use(express.json());
+// Keep the raw body around for webhook signature verification
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+
+// Every /api route needs a session token except the ones that hand tokens out
+app.use("/api", auth.authenticate({ publicPaths: ["/signed-url", "/getAgentId", "/personas", "/webhooks/elevenlabs", "/tools", "/tools/*", "/openapi.json", "/housekeeping"] }));
 
-// Store active conversations
-const activeConversations = new Map();
+// Per-IP and per-user request limits (see rate-limiter.js). Calls from
+// ElevenLabs itself, webhooks and server tools, all share a few IPs and
+// aren't counted against them, and neither are scheduled jobs.
+const isElevenLabsRequest = (req) => req.path === "/webhooks/elevenlabs" || auth.hasAgentToolsSecret(req);
+app.use("/api", rateLimiter.rateLimit("ip", req => (isElevenLabsRequest(req) || auth.hasCronSecret(req) ? null : req.ip)));
+app.use("/api", rateLimiter.rateLimit("user", req => req.auth && req.auth.userId));
+
+// Messages sent back to a device continuing a session
+const RESUME_HISTORY_MESSAGES = 50;
 
 // Middleware to initialize memory system
 app.use(async (req, res, next) => {
@@ -28,366 +94,1263 @@ app.use(async (req, res, next) => {
     await memoryManager.initializeMemory();
     next();
   } catch (error) {
-    console.error("Error initializing memory system:", error);
+    // Routes that need memory answer 503 or flag it as degraded
+    logger.error("Error initializing memory system", { error });
     next();
   }
 });
 
+// Push triggered reminders to the event stream of the session they were set
+// in, or once that has ended to the user's other live sessions. With none
+// open they wait as pending reminders for the user's next session. The
+// deliveryId keeps a retried delivery from showing up twice.
+reminderScheduler.onReminderTriggered(async (reminder) => {
+  const liveSessionIds = (await sessionManager.listUserSessions(reminder.userId))
+    .filter(session => session.status === "active")
+    .map(session => session.sessionId);
+  const sessionIds = liveSessionIds.includes(reminder.sessionId) ? [reminder.sessionId] : liveSessionIds;
+  
+  await Promise.all(sessionIds.map(sessionId => eventStream.publishEvent(
+    sessionId,
+    "reminder.triggered",
+    { reminder: timeContextManager.describeReminder(reminder) },
+    { dedupeKey: reminder.deliveryId }
+  )));
+});
+
+// Fire due reminders, finish expired delays and warn sessions about to expire
+async function processDueWork() {
+  await reminderScheduler.tick();
+  await delayHandler.processExpiredDelays();
+  await sessionManager.warnExpiringSessions();
+}
+
+// All of the above, then end the sessions that have been idle too long.
+// Ending a session summarises it, which may call out to a model, so this
+// runs from the background timer and /api/housekeeping, never in a request.
+// Returns the sessions it ended.
+async function runHousekeeping() {
+  await processDueWork();
+  return endExpiredSessions();
+}
+
+// Serverless deployments can't rely on the background timer, so requests
+// also catch up on work that came due while this instance was asleep: at
+// most once per HOUSEKEEPING_REQUEST_INTERVAL_MS, without holding them up
+const getDueWorkIntervalMs = () => parseInt(process.env.HOUSEKEEPING_REQUEST_INTERVAL_MS, 10) || 5000;
+let lastDueWorkAt = 0;
+app.use((req, res, next) => {
+  if (Date.now() - lastDueWorkAt >= getDueWorkIntervalMs()) {
+    lastDueWorkAt = Date.now();
+    processDueWork().catch(error => logger.error("Error processing due work", { error }));
+  }
+  next();
+});
+
 // Get signed URL for ElevenLabs
-app.get("/api/signed-url", async (req, res) => {
+// Each signed URL is paid for with our ElevenLabs key, so it has its own,
+// tighter limits on top of the general ones
+app.get("/api/signed-url",
+  rateLimiter.rateLimit("signedUrlIp", req => req.ip),
+  rateLimiter.rateLimit("signedUrlUser", req => req.auth && req.auth.userId),
+  validateRequest(apiRoutes.signedUrl),
+  async (req, res) => {
   try {
-    // Get or create user ID and session ID
-    const userId = req.query.userId || uuidv4();
+    // Continuing as an existing user or session needs that user's token;
+    // callers without one always get a fresh user ID
+    if (req.query.userId && (!req.auth || req.auth.userId !== req.query.userId)) {
+      return res.status(401).json({ error: "A valid session token is required to continue as this user" });
+    }
+    
+    // Get or create user ID and session ID. Continuing a session from another
+    // device only needs the session ID and that user's token.
     let sessionId = req.query.sessionId;
+    const userId = req.query.userId || (sessionId && req.auth ? req.auth.userId : uuidv4());
+    
+    if (sessionId && !(await auth.ownsSession(req.auth, sessionId))) {
+      return res.status(403).json({ error: "Not allowed to access this session" });
+    }
     
+    // No new calls once the user's conversation minutes for the day are used up
+    const minutes = await rateLimiter.getQuotaUsage("conversationMinutes", userId);
+    if (minutes.exhausted) {
+      return rateLimiter.rejectTooManyRequests(res, {
+        error: "Daily conversation time used up",
+        limit: "conversationMinutes",
+        retryAfterSeconds: minutes.retryAfterSeconds
+      });
+    }
+    
+    // The client reports the user's timezone and locale. They're used for this
+    // session, and kept on the profile (if the user has one) so later sessions
+    // and background work use them too.
+    const reported = { timezone: req.query.timezone, locale: req.query.locale };
+    await userProfiles.recordTimeSettings(userId, reported);
+    const timeSettings = await userProfiles.getTimeSettings(userId, reported);
+    const profile = await userProfiles.getProfile(userId);
+    
+    // A session keeps the persona it was created with. New sessions use the
+    // requested persona, else the user's preferred one, else the default.
+    let persona;
+    let memoryNamespace;
+    let continuation = null;
     if (!sessionId) {
+      const preferredPersona = profile && profile.personaPreferences && profile.personaPreferences.defaultPersona;
+      persona = req.query.persona
+        ? personas.getPersona(req.query.persona)
+        : personas.getPersona(preferredPersona) || personas.getPersona();
+      if (!persona) {
+        return rejectRequest(res, { persona: "is not a known persona" });
+      }
+      
       // Create new session if no session ID provided
-      const session = sessionManager.createSession(userId);
+      memoryNamespace = persona.memoryNamespace;
+      const session = await sessionManager.createSession(userId, { persona: persona.id, memoryNamespace, profile, ...timeSettings });
       sessionId = session.sessionId;
     } else {
-      // Update existing session's last active time
-      sessionManager.updateSession(sessionId);
+      // Pick the session back up: a live one, possibly open on another device,
+      // or one that ended within the resume grace window
+      const resumption = await sessionManager.resumeSession(sessionId, timeSettings);
+      if (!resumption) {
+        throw new SessionNotFound(sessionId, "Session not found or can no longer be resumed");
+      }
+      
+      const { session, resumed } = resumption;
+      persona = personas.getPersona(session.persona);
+      memoryNamespace = session.memoryNamespace || null;
+      if (!persona) {
+        return res.status(409).json({ error: "This session's persona is no longer configured" });
+      }
+      
+      // Everything the new device needs to carry on where the session left off
+      const { messages: history } = await conversationLog.getMessages(userId, { sessionId, limit: RESUME_HISTORY_MESSAGES });
+      continuation = {
+        resumed,
+        startTime: session.startTime,
+        interactions: session.interactions,
+        memoryIds: session.memoryIds,
+        history,
+        reminders: (await timeContextManager.listReminders({ userId, sessionId, status: "all" }))
+          .map(timeContextManager.describeReminder)
+      };
     }
     
-    const response = await fetch(
-      `https://api.elevenlabs.io/v1/convai/conversation/get_signed_url?agent_id=${process.env.AGENT_ID}`,
-      {
-        method: "GET",
-        headers: {
-          "xi-api-key": process.env.XI_API_KEY,
-        },
-      }
-    );
-
-    if (!response.ok) {
-      throw new Error("Failed to get signed URL");
+    if (!persona.agentId) {
+      throw new AppError("Agent is not configured for this persona", {
+        code: "agent_not_configured",
+        details: { persona: persona.id }
+      });
     }
-
-    const data = await response.json();
     
-    // Store the conversation in our active conversations map
-    activeConversations.set(sessionId, {
+    const signedUrl = await elevenLabs.getSignedUrl(persona.agentId);
+    
+    // Store the conversation in our active conversations map, keeping what a
+    // continued session already has
+    const conversation = (await activeConversations.get(sessionId)) || { startTime: Date.now(), messages: [] };
+    await activeConversations.set(sessionId, {
+      ...conversation,
       userId,
-      startTime: Date.now(),
-      messages: [],
-      signedUrl: data.signed_url
+      persona: persona.id,
+      memoryNamespace,
+      signedUrl
     });
     
+    // Per-session prompt additions, memories and first message for the agent.
+    // A failure here shouldn't stop the call, the agent just starts without
+    // them and `degraded` says what's missing.
+    let overrides = {};
+    let degraded = [];
+    try {
+      const agentContext = await assembleAgentContext({ userId, sessionId, memoryNamespace });
+      degraded = agentContext.degraded;
+      overrides = buildConversationOverrides(agentContext, {
+        isReturningUser: agentContext.history.length > 0 || agentContext.memories.length > 0,
+        templates: persona.templates,
+        // The persona's fixed language wins over the user's preference
+        language: persona.language || (profile && profile.preferredLanguage && profile.preferredLanguage.split("-")[0])
+      });
+    } catch (error) {
+      logger.error("Error building conversation overrides", { sessionId, error });
+      degraded = ["context"];
+    }
+    
+    // Issue the session token the client sends on every other request
+    const { token, expiresAt } = auth.issueToken({ userId, sessionId });
+    
     res.json({ 
-      signedUrl: data.signed_url,
+      signedUrl,
       userId,
-      sessionId
+      sessionId,
+      persona: persona.id,
+      timezone: timeSettings.timezone,
+      locale: timeSettings.locale,
+      profile: userProfiles.describeProfile(profile, userId),
+      continuation,
+      token,
+      tokenExpiresAt: expiresAt,
+      conversationOverrides: overrides.conversationOverrides,
+      degraded,
+      // session_id and user_id come back to us in the post-call webhook
+      dynamicVariables: {
+        ...overrides.dynamicVariables,
+        session_id: sessionId,
+        user_id: userId
+      }
     });
   } catch (error) {
-    console.error("Error:", error);
-    res.status(500).json({ error: "Failed to get signed URL" });
+    sendError(res, error, "Failed to get signed URL");
   }
 });
 
 // Store conversation transcript and extract memories
-app.post("/api/store-conversation", async (req, res) => {
+app.post("/api/store-conversation", auth.authorize, validateRequest(apiRoutes.storeConversation), async (req, res) => {
   try {
-    const { userId, sessionId, messages } = req.body;
-    
-    if (!userId || !sessionId || !messages || !Array.isArray(messages)) {
-      return res.status(400).json({ error: "Invalid request parameters" });
-    }
+    const { userId, sessionId, messages, timezone, conversationId } = req.body;
     
     // Get current session
-    const session = sessionManager.getSession(sessionId);
+    const session = await sessionManager.getSession(sessionId);
     if (!session) {
-      return res.status(404).json({ error: "Session not found" });
+      throw new SessionNotFound(sessionId);
     }
     
-    // Update session with interaction
-    sessionManager.updateSession(sessionId);
-    
-    // Process messages for time-based reminders
-    const lastUserMessage = messages.find(m => m.role === 'user')?.content;
-    if (lastUserMessage) {
-      // Check for reminder requests in user message
-      checkForReminderRequests(sessionId, userId, lastUserMessage);
+    // Link the ElevenLabs conversation so its post-call webhook finds this session
+    if (conversationId) {
+      const conversation = await activeConversations.get(sessionId);
+      if (conversation && conversation.elevenLabsConversationId !== conversationId) {
+        await activeConversations.set(sessionId, { ...conversation, elevenLabsConversationId: conversationId });
+      }
     }
     
-    // Check for pending reminders
-    const pendingReminders = timeContextManager.getPendingReminders(sessionId);
+    const ingested = await ingestMessages({ userId, sessionId, session, messages, timezone });
     
-    // Store individual messages as conversation memory
-    const timeContext = timeContextManager.getCurrentTimeContext();
-    const result = await memoryManager.storeConversation(userId, messages, {
-      sessionId,
-      timeContext,
-      conversationId: uuidv4()
+    res.json({
+      success: true,
+      memoryId: ingested.memoryId,
+      session: ingested.session,
+      pendingReminders: ingested.pendingReminders,
+      messageIds: ingested.appended.map(message => message.id),
+      duplicateCount: ingested.duplicates.length,
+      historyCount: ingested.total,
+      memoryQuotaExceeded: ingested.memoryQuotaExceeded,
+      degraded: ingested.degraded
     });
+  } catch (error) {
+    sendError(res, error, "Failed to store conversation");
+  }
+});
+
+// Timezone and locale for a request about a user: their profile's, else those
+// of the caller's session, which has what the client reported even for users
+// without a profile, else the defaults
+async function getRequestTimeSettings(req, userId = req.auth.userId) {
+  const session = req.auth && req.auth.sessionId ? await sessionManager.getSessionRecord(req.auth.sessionId) : null;
+  return userProfiles.getTimeSettings(userId, {}, session && session.userId === userId ? session : {});
+}
+
+// Current time context in the user's timezone and locale
+async function getUserTimeContext(req, userId = req.auth.userId) {
+  return timeContextManager.getCurrentTimeContext(await getRequestTimeSettings(req, userId));
+}
+
+// Shared storage pipeline for transcripts from the client and from the
+// ElevenLabs webhook: append to the chat log, pick up reminder requests and
+// store the new messages as memory. `session` may be null when the session has
+// already ended, in which case only the log and memory are written.
+// Messages and memories go to the session's persona namespace unless one is
+// given. Memories count against the user's daily memory writes; once those
+// are used up the messages are still logged but no memory is stored.
+async function ingestMessages({ userId, sessionId, session, messages, timezone, memoryNamespace }) {
+  // Update session with interaction
+  if (session) {
+    await sessionManager.updateSession(sessionId);
+  }
+  
+  // What the user has consented to keeping (see user-profiles.js)
+  const profile = await userProfiles.getProfile(userId);
+  const keepTranscripts = userProfiles.hasConsent(profile, "transcripts");
+  const keepMemories = userProfiles.hasConsent(profile, "memory");
+  const namespace = memoryNamespace !== undefined ? memoryNamespace : (session && session.memoryNamespace) || null;
+  
+  // Append to the user's ordered chat log. Messages the client re-sends are
+  // skipped, so they don't set reminders or create memories a second time.
+  // Without consent to keep transcripts nothing is logged, and every message
+  // counts as new.
+  const { appended, duplicates, total } = keepTranscripts
+    ? await memoryManager.appendChatHistory(userId, sessionId, messages, { memoryNamespace: namespace })
+    : { appended: messages, duplicates: [], total: 0 };
+  
+  // Reminders and memory timestamps use the user's timezone: the one sent
+  // with the messages, else the session's, else their profile's
+  const timeSettings = await userProfiles.getTimeSettings(userId, {
+    timezone: timezone || (session && session.timezone),
+    locale: session && session.locale
+  });
+  
+  // Process messages for time-based reminders
+  const lastUserMessage = appended.find(m => m.role === 'user')?.content;
+  if (session && lastUserMessage) {
+    // Check for reminder requests in user message
+    await checkForReminderRequests(sessionId, userId, lastUserMessage, timeSettings.timezone);
+    
+    // A spoken "never mind, answer now" ends any wait the agent is in
+    if (delayHandler.processDelayInstructions(lastUserMessage).interrupt && await delayHandler.hasActiveDelay(sessionId)) {
+      await delayHandler.clearDelay(sessionId, { reason: "interrupted" });
+    }
+  }
+  
+  // Check for pending reminders
+  const pendingReminders = (await timeContextManager.getPendingReminders(userId))
+    .map(timeContextManager.describeReminder);
+  
+  // Store the new messages as conversation memory. If memory is down they're
+  // still in the chat log, and `degraded` tells the caller no memory was made.
+  let memoryId = null;
+  let updatedSession = session;
+  const degraded = [];
+  const memoryQuotaExceeded = appended.length > 0 && keepMemories &&
+    (await rateLimiter.getQuotaUsage("memoryWrites", userId)).exhausted;
+  if (appended.length > 0 && keepMemories && !memoryQuotaExceeded) {
+    const timeContext = timeContextManager.getCurrentTimeContext(timeSettings);
+    try {
+      const result = await memoryManager.storeConversation(userId, appended.map(({ role, content }) => ({ role, content })), {
+        sessionId,
+        memoryNamespace: namespace,
+        timeContext,
+        conversationId: uuidv4()
+      });
+      memoryId = result.id;
+    } catch (error) {
+      if (!(error instanceof MemoryUnavailable)) {
+        throw error;
+      }
+      logger.warn("Messages logged without storing memory", { sessionId, error });
+      degraded.push("memory");
+    }
+  }
+  
+  if (memoryId) {
+    await rateLimiter.consumeQuota("memoryWrites", userId);
     
-    // Also store the complete chat history to maintain state
-    // This helps the agent remember the entire conversation flow
-    // Get existing conversation history
-    let conversationHistory = await memoryManager.getConversationHistory(userId, 100);
-    
-    // Add new messages to history
-    messages.forEach(message => {
-      // Add timestamp to message
-      message.timestamp = Date.now();
-      conversationHistory.push(message);
-    });
+    // Update session with memory ID
+    if (session) {
+      updatedSession = await sessionManager.updateSession(sessionId, {
+        memoryIds: [...session.memoryIds, memoryId]
+      });
+    }
+  }
+  
+  return {
+    appended,
+    duplicates,
+    total,
+    memoryId,
+    memoryQuotaExceeded,
+    degraded,
+    session: updatedSession,
+    pendingReminders
+  };
+}
+
+// End a session everywhere: summarise it, drop its conversation and reminders,
+// and count its length against the user's daily conversation minutes.
+// callDurationSeconds is the call length ElevenLabs reported, if known;
+// otherwise the time from the session's start (or resumption) to its last
+// activity is used. Returns null if the session doesn't exist.
+async function finishSession(sessionId, { callDurationSeconds = null } = {}) {
+  logger.info("Ending session", { sessionId });
+  
+  // End the session and get summary, storing it as memory only with consent
+  const session = await sessionManager.getSession(sessionId);
+  const profile = session ? await userProfiles.getProfile(session.userId) : null;
+  const summary = await sessionManager.endSession(sessionId, {
+    storeMemories: userProfiles.hasConsent(profile, "memory")
+  });
+  
+  if (!summary) {
+    return null;
+  }
+  
+  const durationSeconds = callDurationSeconds !== null
+    ? callDurationSeconds
+    : (session.lastActiveTime - (session.resumedAt || session.startTime)) / 1000;
+  if (durationSeconds > 0) {
+    await rateLimiter.consumeQuota("conversationMinutes", session.userId, Math.ceil(durationSeconds / 60));
+  }
+  
+  // Remove from active conversations
+  await activeConversations.delete(sessionId);
+  
+  // Clear any pending waits for this session. Its reminders belong to the
+  // user and keep firing.
+  await delayHandler.clearDelay(sessionId, { notify: false });
+  
+  return summary;
+}
+
+// Sessions this instance is already ending, since housekeeping can run from
+// the timer and /api/housekeeping at once
+const endingSessions = new Set();
+
+// Ending a session summarises it, which may call out to a model, so only a
+// few are ended per housekeeping pass and the rest wait for the next one
+const MAX_SESSIONS_ENDED_PER_PASS = 5;
+
+// End sessions that were abandoned without /api/end-session: idle past
+// SESSION_IDLE_TIMEOUT_SECONDS, or the oldest beyond MAX_ACTIVE_SESSIONS.
+// Their summaries are stored as usual and the client gets a session.ended event.
+async function endExpiredSessions() {
+  const expired = (await sessionManager.findExpiredSessions())
+    .filter(({ sessionId }) => !endingSessions.has(sessionId))
+    .slice(0, MAX_SESSIONS_ENDED_PER_PASS);
+  
+  for (const { sessionId, reason } of expired) {
+    endingSessions.add(sessionId);
+    try {
+      const summary = await finishSession(sessionId);
+      if (summary) {
+        await eventStream.publishEvent(sessionId, "session.ended", {
+          reason,
+          summary: summary.summary || null
+        }, { dedupeKey: `session-ended:${sessionId}` });
+      }
+    } catch (error) {
+      logger.error("Error ending expired session", { sessionId, error });
+    } finally {
+      endingSessions.delete(sessionId);
+    }
+  }
+  
+  return expired;
+}
+
+// Function to extract and set time-based reminders from user messages.
+// Understands relative ("in 10 minutes"), absolute ("at 7pm", "kal subah 8 baje")
+// and recurring ("every day at 9", "har Monday") requests in the user's timezone.
+async function checkForReminderRequests(sessionId, userId, message, timezone) {
+  const request = reminderParser.parseReminderRequest(message, { timezone });
+  
+  if (!request) {
+    return null;
+  }
+  
+  logger.info("Setting reminder from message", {
+    sessionId,
+    reminderTime: new Date(request.reminderTime).toISOString(),
+    recurrence: request.recurrence ? request.recurrence.frequency : null
+  });
+  
+  // Set the reminder
+  // Triggered reminders are pushed to the session's event stream
+  return timeContextManager.setReminderAt(sessionId, userId, request.task, request.reminderTime, {
+    timezone: request.timezone,
+    recurrence: request.recurrence
+  });
+}
+
+// Check for pending reminders
+app.get("/api/check-reminders", auth.authorize, validateRequest(apiRoutes.checkReminders), async (req, res) => {
+  try {
+    const { sessionId } = req.query;
     
-    // Store updated history
-    await memoryManager.storeCompleteChatHistory(userId, conversationHistory, sessionId);
+    // The user's reminders, whichever session they were set in
+    const pendingReminders = await timeContextManager.getPendingReminders(req.auth.userId);
     
-    // Update session with memory ID
-    const updatedSession = sessionManager.updateSession(sessionId, {
-      memoryIds: [...session.memoryIds, result.id]
-    });
+    // Mark all retrieved reminders as completed
+    await Promise.all(pendingReminders.map(reminder => timeContextManager.completeReminder(reminder.id)));
     
     res.json({
-      success: true,
-      memoryId: result.id,
-      session: updatedSession,
-      pendingReminders: pendingReminders,
-      historyCount: conversationHistory.length
+      pendingReminders: pendingReminders.map(timeContextManager.describeReminder),
+      currentTime: await getUserTimeContext(req)
     });
   } catch (error) {
-    console.error("Error storing conversation:", error);
-    res.status(500).json({ error: "Failed to store conversation" });
+    sendError(res, error, "Failed to check reminders");
   }
 });
 
-// Function to extract and set time-based reminders from user messages
-function checkForReminderRequests(sessionId, userId, message) {
-  // Pattern 1: "Remind me in X seconds/minutes/hours to do [task]"
-  const reminderPattern1 = /remind me in (\d+) (second|seconds|minute|minutes|hour|hours) to (.*)/i;
-  // Pattern 2: "X seconds/minutes/hours ke baad yaad dila dena [task]"
-  const reminderPattern2 = /(\d+) (second|seconds|minute|minutes|hour|hours) ke baad yaad dila dena (.*)/i;
-  // Pattern 3: "X seconds/minutes/hours baad [task] yaad dila dena"
-  const reminderPattern3 = /(\d+) (second|seconds|minute|minutes|hour|hours) baad (.*) yaad dila dena/i;
+// Load a reminder only if it belongs to the given user (and session, if given)
+async function findScopedReminder(reminderId, userId, sessionId) {
+  const reminder = await timeContextManager.activeReminders.get(reminderId);
   
-  let match = message.match(reminderPattern1) || message.match(reminderPattern2) || message.match(reminderPattern3);
+  if (!reminder || reminder.userId !== userId || (sessionId && reminder.sessionId !== sessionId)) {
+    return null;
+  }
   
-  if (match) {
-    const amount = parseInt(match[1]);
-    const unit = match[2].toLowerCase();
-    const task = match[3];
+  return timeContextManager.describeReminder(reminder);
+}
+
+// Create a reminder
+app.post("/api/set-reminder", auth.authorize, validateRequest(apiRoutes.setReminder), async (req, res) => {
+  try {
+    const { sessionId, userId, task, durationInSeconds } = req.body;
     
-    let durationInSeconds = amount;
-    if (unit.includes('minute')) {
-      durationInSeconds = amount * 60;
-    } else if (unit.includes('hour')) {
-      durationInSeconds = amount * 60 * 60;
-    }
+    const reminder = await timeContextManager.setReminder(sessionId, userId, task.trim(), durationInSeconds, () => {
+      logger.info("Reminder triggered", { sessionId });
+    });
     
-    console.log(`Setting reminder: ${task} in ${durationInSeconds} seconds`);
+    res.json({
+      success: true,
+      reminder: timeContextManager.describeReminder(reminder)
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to set reminder");
+  }
+});
+
+// List a user's reminders, optionally for one session and status
+app.get("/api/reminders", auth.authorize, validateRequest(apiRoutes.listReminders), async (req, res) => {
+  try {
+    const { userId, sessionId, status } = req.query;
+    
+    const reminders = await timeContextManager.listReminders({ userId, sessionId, status });
     
-    // Set the reminder
-    timeContextManager.setReminder(sessionId, userId, task, durationInSeconds, (reminder) => {
-      console.log(`Reminder triggered: ${reminder.task}`);
-      // The triggered reminder will be picked up by the next API call
+    res.json({
+      reminders: reminders.map(timeContextManager.describeReminder),
+      currentTime: await getUserTimeContext(req)
     });
+  } catch (error) {
+    sendError(res, error, "Failed to list reminders");
   }
-}
+});
 
-// Check for pending reminders
-app.get("/api/check-reminders", (req, res) => {
+// Get a single reminder
+app.get("/api/reminders/:reminderId", auth.authorize, validateRequest(apiRoutes.getReminder), async (req, res) => {
   try {
-    const { sessionId } = req.query;
+    const { userId, sessionId } = req.query;
     
-    if (!sessionId) {
-      return res.status(400).json({ error: "Missing sessionId" });
+    const reminder = await findScopedReminder(req.params.reminderId, userId, sessionId);
+    
+    if (!reminder) {
+      throw new ReminderNotFound(req.params.reminderId);
     }
     
-    const pendingReminders = timeContextManager.getPendingReminders(sessionId);
+    res.json({ reminder });
+  } catch (error) {
+    sendError(res, error, "Failed to get reminder");
+  }
+});
+
+// Update a reminder's task or reschedule it durationInSeconds from now
+app.patch("/api/reminders/:reminderId", auth.authorize, validateRequest(apiRoutes.updateReminder), async (req, res) => {
+  try {
+    const { userId, sessionId, task, durationInSeconds } = req.body;
     
-    // Mark all retrieved reminders as completed
-    pendingReminders.forEach(reminder => {
-      timeContextManager.completeReminder(reminder.id);
-    });
+    if (task === undefined && durationInSeconds === undefined) {
+      return rejectRequest(res, { task: "provide task or durationInSeconds", durationInSeconds: "provide task or durationInSeconds" });
+    }
+    
+    const existing = await findScopedReminder(req.params.reminderId, userId, sessionId);
+    
+    if (!existing) {
+      throw new ReminderNotFound(req.params.reminderId);
+    }
+    
+    const changes = {};
+    if (task !== undefined) {
+      changes.task = task.trim();
+    }
+    if (durationInSeconds !== undefined) {
+      changes.reminderTime = Date.now() + durationInSeconds * 1000;
+    }
+    
+    const reminder = await timeContextManager.updateReminder(existing.id, changes);
     
     res.json({
-      pendingReminders,
-      currentTime: timeContextManager.getCurrentTimeContext()
+      success: true,
+      reminder: timeContextManager.describeReminder(reminder)
     });
   } catch (error) {
-    console.error("Error checking reminders:", error);
-    res.status(500).json({ error: "Failed to check reminders" });
+    sendError(res, error, "Failed to update reminder");
   }
 });
 
-// Create a reminder
-app.post("/api/set-reminder", (req, res) => {
+// Snooze a reminder (default 5 minutes)
+app.post("/api/reminders/:reminderId/snooze", auth.authorize, validateRequest(apiRoutes.snoozeReminder), async (req, res) => {
   try {
-    const { sessionId, userId, task, durationInSeconds } = req.body;
+    const { userId, sessionId, durationInSeconds } = req.body;
     
-    if (!sessionId || !userId || !task || !durationInSeconds) {
-      return res.status(400).json({ error: "Missing required parameters" });
+    const existing = await findScopedReminder(req.params.reminderId, userId, sessionId);
+    
+    if (!existing || existing.status === "cancelled") {
+      throw new ReminderNotFound(req.params.reminderId);
     }
     
-    const reminder = timeContextManager.setReminder(sessionId, userId, task, durationInSeconds, () => {
-      console.log(`Reminder triggered: ${task}`);
+    const reminder = await timeContextManager.snoozeReminder(existing.id, durationInSeconds);
+    
+    res.json({
+      success: true,
+      reminder: timeContextManager.describeReminder(reminder)
     });
+  } catch (error) {
+    sendError(res, error, "Failed to snooze reminder");
+  }
+});
+
+// Cancel a reminder, including all future occurrences of a recurring one
+app.delete("/api/reminders/:reminderId", auth.authorize, validateRequest(apiRoutes.cancelReminder), async (req, res) => {
+  try {
+    const userId = req.query.userId || req.body.userId;
+    const sessionId = req.query.sessionId || req.body.sessionId;
+    
+    if (!userId) {
+      return rejectRequest(res, { userId: "is required" });
+    }
+    
+    const existing = await findScopedReminder(req.params.reminderId, userId, sessionId);
+    
+    if (!existing) {
+      throw new ReminderNotFound(req.params.reminderId);
+    }
+    
+    const reminder = await timeContextManager.cancelReminder(existing.id);
     
     res.json({
       success: true,
-      reminder
+      reminder: timeContextManager.describeReminder(reminder)
     });
   } catch (error) {
-    console.error("Error setting reminder:", error);
-    res.status(500).json({ error: "Failed to set reminder" });
+    sendError(res, error, "Failed to cancel reminder");
   }
 });
 
+// Which persona's memories a request may see: the session's when a session is
+// given, else the named persona's. Neither means all of the user's memories;
+// an unknown persona gives null.
+async function resolveMemoryScope({ sessionId, persona }) {
+  if (sessionId) {
+    const session = await sessionManager.getSession(sessionId);
+    if (session) {
+      return { memoryNamespace: session.memoryNamespace || null };
+    }
+  }
+  
+  if (persona) {
+    const found = personas.getPersona(persona);
+    return found ? { memoryNamespace: found.memoryNamespace } : null;
+  }
+  
+  return {};
+}
+
 // Retrieve relevant memories for context
-app.post("/api/retrieve-context", async (req, res) => {
+app.post("/api/retrieve-context", auth.authorize, validateRequest(apiRoutes.retrieveContext), async (req, res) => {
   try {
-    const { userId, query } = req.body;
+    const { userId, query, sessionId, persona } = req.body;
     
-    if (!userId || !query) {
-      return res.status(400).json({ error: "Missing userId or query" });
+    const scope = await resolveMemoryScope({ sessionId, persona });
+    if (!scope) {
+      return rejectRequest(res, { persona: "is not a known persona" });
     }
     
     // Get relevant memories based on query
-    const memories = await memoryManager.retrieveRelevantMemories(userId, query);
+    const memories = await memoryManager.retrieveRelevantMemories(userId, query, {
+      ...scope,
+      ...(await getRequestTimeSettings(req, userId))
+    });
     
     res.json({
       memories,
-      currentTime: timeContextManager.getCurrentTimeContext()
+      currentTime: await getUserTimeContext(req)
     });
   } catch (error) {
-    console.error("Error retrieving context:", error);
-    res.status(500).json({ error: "Failed to retrieve context" });
+    sendError(res, error, "Failed to retrieve context");
+  }
+});
+
+// Build a single prompt block for the agent from memories, history, reminders,
+// delays and the current time, ready to pass as ElevenLabs dynamic variables
+app.post("/api/agent-context", auth.authorize, validateRequest(apiRoutes.agentContext), async (req, res) => {
+  try {
+    const { userId, sessionId, query, tokenBudget, persona } = req.body;
+    
+    const scope = await resolveMemoryScope({ sessionId, persona });
+    if (!scope) {
+      return rejectRequest(res, { persona: "is not a known persona" });
+    }
+    
+    const context = await assembleAgentContext({ userId, sessionId, query, tokenBudget, ...scope });
+    
+    res.json(context);
+  } catch (error) {
+    sendError(res, error, "Failed to assemble agent context");
   }
 });
 
 // End session and store summary
-app.post("/api/end-session", async (req, res) => {
+app.post("/api/end-session", auth.authorize, validateRequest(apiRoutes.endSession), async (req, res) => {
   try {
     const { sessionId } = req.body;
     
-    if (!sessionId) {
-      return res.status(400).json({ error: "Missing sessionId" });
+    const summary = await finishSession(sessionId);
+    
+    if (!summary) {
+      throw new SessionNotFound(sessionId);
     }
     
-    console.log(`Ending session: ${sessionId}`);
+    res.json({
+      success: true,
+      summary
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to end session");
+  }
+});
+
+// Webhook deliveries are remembered for a week to recognise retries. Only
+// the IDs and counts of the outcome are kept: the summary holds what the user
+// said, and a deleted user's data mustn't outlive them here.
+const WEBHOOK_DELIVERIES = 'webhook-deliveries';
+const WEBHOOK_DELIVERY_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const describeWebhookOutcome = ({ summary, ...outcome }) => (summary === undefined
+  ? outcome
+  : { ...outcome, summarized: Boolean(summary) });
+
+// Find our session for an ElevenLabs conversation, via the session_id dynamic
+// variable or the conversation ID linked in /api/store-conversation
+async function resolveWebhookSession(reference) {
+  let { sessionId } = reference;
+  
+  if (!sessionId && reference.conversationId) {
+    const conversations = await activeConversations.list();
+    const linked = conversations.find(entry => entry.value.elevenLabsConversationId === reference.conversationId);
+    sessionId = linked ? linked.key : null;
+  }
+  
+  if (!sessionId) {
+    return null;
+  }
+  
+  const session = await sessionManager.getSession(sessionId);
+  const conversation = await activeConversations.get(sessionId);
+  
+  // The stored session decides who the transcript belongs to; the user_id the
+  // client sent along with the call only has to agree with it
+  const userId = (session && session.userId) || (conversation && conversation.userId);
+  if (!userId || (reference.userId && reference.userId !== userId)) {
+    return null;
+  }
+  
+  // Memories go to the persona the call was made with, even if the session is gone
+  const memoryNamespace = (session && session.memoryNamespace) || (conversation && conversation.memoryNamespace) || null;
+  
+  return { sessionId, userId, session, memoryNamespace };
+}
+
+// ElevenLabs post-call webhook: stores the transcript and ends the session,
+// so conversations aren't lost when the tab closes before the client posts them
+// Checked before the payload is validated, so unsigned callers learn nothing
+// about its schema
+function verifyElevenLabsSignature(req, res, next) {
+  const signatureError = elevenLabsWebhook.verifySignature(req.rawBody, req.get("ElevenLabs-Signature"));
+  if (signatureError) {
+    return res.status(401).json({ error: signatureError });
+  }
+  next();
+}
+
+app.post("/api/webhooks/elevenlabs", verifyElevenLabsSignature, validateRequest(apiRoutes.elevenLabsWebhook), async (req, res) => {
+  const payload = req.body || {};
+  const deliveryKey = elevenLabsWebhook.getDeliveryKey(payload);
+  
+  try {
+    // Claiming the delivery in one step means two copies arriving together
+    // can't both be processed. Replayed or duplicate deliveries get the
+    // original outcome's IDs and counts back.
+    const claimed = await getSessionStore().setIfAbsent(WEBHOOK_DELIVERIES, deliveryKey, {
+      status: "processing",
+      receivedAt: Date.now()
+    }, { ttlMs: WEBHOOK_DELIVERY_TTL_MS });
+    if (!claimed) {
+      const previous = await getSessionStore().get(WEBHOOK_DELIVERIES, deliveryKey);
+      return res.json({ success: true, duplicate: true, ...(previous && previous.result) });
+    }
+    
+    let result;
+    if (payload.type !== "post_call_transcription") {
+      result = { ignored: true, type: payload.type };
+    } else {
+      const target = await resolveWebhookSession(elevenLabsWebhook.getSessionReference(payload));
+      
+      if (!target) {
+        await getSessionStore().delete(WEBHOOK_DELIVERIES, deliveryKey);
+        return res.status(422).json({ error: "Could not match the conversation to a session" });
+      }
+      
+      const messages = elevenLabsWebhook.transcriptToMessages(payload);
+      const ingested = await ingestMessages({ ...target, messages });
+      
+      // The call is over, so run the same end-of-session flow as /api/end-session
+      const summary = target.session
+        ? await finishSession(target.sessionId, { callDurationSeconds: elevenLabsWebhook.getCallDurationSeconds(payload) })
+        : null;
+      
+      result = {
+        sessionId: target.sessionId,
+        messagesStored: ingested.appended.length,
+        duplicateCount: ingested.duplicates.length,
+        memoryQuotaExceeded: ingested.memoryQuotaExceeded,
+        degraded: ingested.degraded,
+        summary
+      };
+    }
     
-    // End the session and get summary
-    const summary = await sessionManager.endSession(sessionId);
+    await getSessionStore().set(WEBHOOK_DELIVERIES, deliveryKey, {
+      status: "processed",
+      processedAt: Date.now(),
+      result: describeWebhookOutcome(result)
+    }, { ttlMs: WEBHOOK_DELIVERY_TTL_MS });
     
-    if (!summary) {
-      return res.status(404).json({ error: "Session not found" });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    // Let ElevenLabs retry the delivery
+    await getSessionStore().delete(WEBHOOK_DELIVERIES, deliveryKey).catch(() => {});
+    sendError(res, error, "Failed to process webhook");
+  }
+});
+
+// Fields identifying the caller rather than tool arguments
+const TOOL_CALLER_FIELDS = ["sessionId", "userId", "session_id", "user_id"];
+
+// Work out whose session a tool call acts on. The frontend relays client tools
+// with the user's token; ElevenLabs server tools send the shared tools secret
+// plus the {{session_id}} and {{user_id}} dynamic variables.
+async function resolveToolCaller(req) {
+  const body = req.body || {};
+  const sessionId = body.sessionId || body.session_id || (req.auth && req.auth.sessionId);
+  const userId = body.userId || body.user_id;
+  
+  if (req.auth) {
+    if (userId && userId !== req.auth.userId) {
+      return { status: 403, error: "Not allowed to access this user" };
+    }
+    if (!(await auth.ownsSession(req.auth, sessionId))) {
+      return { status: 403, error: "Not allowed to access this session" };
+    }
+    return { userId: req.auth.userId, sessionId };
+  }
+  
+  if (!auth.hasAgentToolsSecret(req)) {
+    return { status: 401, error: "Missing or invalid session token" };
+  }
+  if (!sessionId) {
+    return { status: 400, error: "Missing session_id" };
+  }
+  
+  const session = await sessionManager.getSession(sessionId);
+  if (!session) {
+    return { status: 404, error: "Session not found" };
+  }
+  if (userId && userId !== session.userId) {
+    return { status: 403, error: "Not allowed to access this session" };
+  }
+  
+  return { userId: session.userId, sessionId };
+}
+
+// Tool definitions to register on the agent. Each one includes a ready-made
+// ElevenLabs server-tool config pointing at PUBLIC_BASE_URL (or this host).
+app.get("/api/tools", validateRequest(apiRoutes.listTools), (req, res) => {
+  const baseUrl = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get("host")}`;
+  
+  res.json({
+    tools: agentTools.getToolDefinitions(baseUrl)
+  });
+});
+
+// Run a tool on behalf of the agent
+app.post("/api/tools/:toolName", validateRequest(apiRoutes.runTool), async (req, res) => {
+  const { toolName } = req.params;
+  
+  try {
+    const caller = await resolveToolCaller(req);
+    if (caller.error) {
+      return res.status(caller.status).json({ success: false, error: caller.error });
     }
     
-    // Remove from active conversations
-    activeConversations.delete(sessionId);
+    const args = { ...(req.body || {}) };
+    TOOL_CALLER_FIELDS.forEach(field => delete args[field]);
     
-    // Clear any active reminders for this session
-    timeContextManager.clearSessionReminders(sessionId);
+    const scope = await resolveMemoryScope({ sessionId: caller.sessionId });
+    const session = caller.sessionId ? await sessionManager.getSession(caller.sessionId) : null;
+    const timeSettings = await userProfiles.getTimeSettings(caller.userId, session || {});
+    
+    const result = await agentTools.runTool(toolName, { ...caller, ...scope, ...timeSettings, args });
     
     res.json({
       success: true,
-      summary
+      tool: toolName,
+      result
     });
   } catch (error) {
-    console.error("Error ending session:", error);
-    res.status(500).json({ error: "Failed to end session" });
+    if (error instanceof agentTools.ToolError) {
+      if (error.retryAfterSeconds) {
+        res.set("Retry-After", String(error.retryAfterSeconds));
+      }
+      return res.status(error.status).json({
+        success: false,
+        tool: toolName,
+        error: error.message,
+        ...(error.fields ? { fields: error.fields } : {})
+      });
+    }
+    
+    // Typed errors such as MemoryUnavailable keep their status and code
+    const typed = error instanceof AppError;
+    logger.error("Error running tool", { tool: toolName, error });
+    res.status(typed ? error.status : 500).json({
+      success: false,
+      tool: toolName,
+      error: typed ? error.message : "Failed to run tool",
+      code: typed ? error.code : "internal_error",
+      requestId: req.id
+    });
   }
 });
 
 // Get user memories
-app.get("/api/user-memories/:userId", async (req, res) => {
+app.get("/api/user-memories/:userId", auth.authorize, validateRequest(apiRoutes.userMemories), async (req, res) => {
   try {
     const { userId } = req.params;
     
-    if (!userId) {
-      return res.status(400).json({ error: "Missing userId" });
+    const scope = await resolveMemoryScope({ persona: req.query.persona });
+    if (!scope) {
+      return rejectRequest(res, { persona: "is not a known persona" });
     }
     
-    const memories = await memoryManager.getAllUserMemories(userId);
+    const memories = await memoryManager.getAllUserMemories(userId, scope);
     
     res.json({
       memories,
-      currentTime: timeContextManager.getCurrentTimeContext()
+      currentTime: await getUserTimeContext(req)
     });
   } catch (error) {
-    console.error("Error retrieving user memories:", error);
-    res.status(500).json({ error: "Failed to retrieve user memories" });
+    sendError(res, error, "Failed to retrieve user memories");
   }
 });
 
-// Keep-alive endpoint to maintain session
-app.post("/api/keep-alive", (req, res) => {
+// Load a memory only if it belongs to the given user
+async function findOwnedMemory(memoryId, userId) {
+  const memory = await memoryManager.getMemory(memoryId);
+  
+  if (!memory || (memory.userId || memory.user_id) !== userId) {
+    return null;
+  }
+  
+  return memory;
+}
+
+// Get a single memory
+app.get("/api/memories/:memoryId", auth.authorize, validateRequest(apiRoutes.getMemory), async (req, res) => {
   try {
-    const { sessionId } = req.body;
+    const { userId } = req.query;
     
-    if (!sessionId) {
-      return res.status(400).json({ error: "Missing sessionId" });
+    const memory = await findOwnedMemory(req.params.memoryId, userId);
+    
+    if (!memory) {
+      throw new MemoryNotFound(req.params.memoryId);
+    }
+    
+    res.json({ memory });
+  } catch (error) {
+    sendError(res, error, "Failed to get memory");
+  }
+});
+
+// Correct a memory's text and/or metadata
+app.patch("/api/memories/:memoryId", auth.authorize, validateRequest(apiRoutes.updateMemory), async (req, res) => {
+  try {
+    const { userId, memory: text, metadata } = req.body;
+    
+    if (text === undefined && metadata === undefined) {
+      return rejectRequest(res, { memory: "provide memory or metadata", metadata: "provide memory or metadata" });
+    }
+    
+    const existing = await findOwnedMemory(req.params.memoryId, userId);
+    
+    if (!existing) {
+      throw new MemoryNotFound(req.params.memoryId);
+    }
+    
+    const changes = {};
+    if (text !== undefined) {
+      changes.memory = text.trim();
+    }
+    if (metadata !== undefined) {
+      changes.metadata = metadata;
+    }
+    
+    // Plain text updates go through as a string, which is what mem0 expects
+    await memoryManager.updateMemory(existing.id, metadata === undefined ? changes.memory : changes);
+    
+    res.json({
+      success: true,
+      memory: await memoryManager.getMemory(existing.id)
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to update memory");
+  }
+});
+
+// Delete a single memory
+app.delete("/api/memories/:memoryId", auth.authorize, validateRequest(apiRoutes.deleteMemory), async (req, res) => {
+  try {
+    const userId = req.query.userId || req.body.userId;
+    
+    if (!userId) {
+      return rejectRequest(res, { userId: "is required" });
+    }
+    
+    const existing = await findOwnedMemory(req.params.memoryId, userId);
+    
+    if (!existing) {
+      throw new MemoryNotFound(req.params.memoryId);
+    }
+    
+    await memoryManager.deleteMemory(existing.id);
+    
+    res.json({
+      success: true,
+      memoryId: existing.id
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to delete memory");
+  }
+});
+
+// List a memory's revision history
+app.get("/api/memories/:memoryId/history", auth.authorize, validateRequest(apiRoutes.memoryHistory), async (req, res) => {
+  try {
+    const { userId } = req.query;
+    
+    const existing = await findOwnedMemory(req.params.memoryId, userId);
+    
+    if (!existing) {
+      throw new MemoryNotFound(req.params.memoryId);
+    }
+    
+    const history = await memoryManager.getMemoryHistory(existing.id);
+    
+    res.json({
+      memoryId: existing.id,
+      history
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to get memory history");
+  }
+});
+
+// A user's live sessions and the recently ended ones they can still resume
+// by passing the sessionId to /api/signed-url
+app.get("/api/users/:userId/sessions", auth.authorize, validateRequest(apiRoutes.listUserSessions), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
+    const sessions = await sessionManager.listUserSessions(userId);
+    
+    res.json({ sessions });
+  } catch (error) {
+    sendError(res, error, "Failed to list sessions");
+  }
+});
+
+// A user's profile: display name, preferred language, timezone and locale,
+// persona preferences and consent flags
+app.get("/api/users/:userId/profile", auth.authorize, validateRequest(apiRoutes.getProfile), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
+    const profile = await userProfiles.getProfile(userId);
+    
+    res.json({ profile: userProfiles.describeProfile(profile, userId) });
+  } catch (error) {
+    sendError(res, error, "Failed to get user profile");
+  }
+});
+
+// Create or fully replace a profile; fields left out are cleared
+app.put("/api/users/:userId/profile", auth.authorize, validateRequest(apiRoutes.replaceProfile), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
+    const { errors, values } = userProfiles.validateProfileFields(req.body);
+    if (Object.keys(errors).length > 0) {
+      return rejectRequest(res, errors);
+    }
+    
+    const profile = await userProfiles.replaceProfile(userId, values);
+    
+    res.json({ success: true, profile: userProfiles.describeProfile(profile, userId) });
+  } catch (error) {
+    sendError(res, error, "Failed to save user profile");
+  }
+});
+
+// Change some profile fields; null clears a field
+app.patch("/api/users/:userId/profile", auth.authorize, validateRequest(apiRoutes.updateProfile), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
+    const { errors, values } = userProfiles.validateProfileFields(req.body);
+    if (Object.keys(errors).length > 0) {
+      return rejectRequest(res, errors);
     }
     
+    const profile = await userProfiles.updateProfile(userId, values);
+    
+    res.json({ success: true, profile: userProfiles.describeProfile(profile, userId) });
+  } catch (error) {
+    sendError(res, error, "Failed to update user profile");
+  }
+});
+
+app.delete("/api/users/:userId/profile", auth.authorize, validateRequest(apiRoutes.deleteProfile), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
+    if (!(await userProfiles.getProfile(userId))) {
+      return res.status(404).json({ error: "Profile not found" });
+    }
+    
+    await userProfiles.deleteProfile(userId);
+    
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, "Failed to delete user profile");
+  }
+});
+
+// Export everything stored about a user as a downloadable JSON archive
+app.get("/api/users/:userId/export", auth.authorize, validateRequest(apiRoutes.exportUserData), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
+    const archive = await userData.exportUserData(userId);
+    
+    res.set("Content-Disposition", `attachment; filename="user-${userId}-export.json"`);
+    res.json(archive);
+  } catch (error) {
+    sendError(res, error, "Failed to export user data");
+  }
+});
+
+// Erase a user's memories, sessions, reminders and delays everywhere
+app.delete("/api/users/:userId", auth.authorize, validateRequest(apiRoutes.deleteUserData), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
+    const receipt = await userData.purgeUserData(userId);
+    
+    // Partial purges still return the receipt so the client can see what's left
+    res.status(receipt.complete ? 200 : 500).json({
+      success: receipt.complete,
+      receipt
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to delete user data");
+  }
+});
+
+// Keep-alive endpoint to maintain session
+app.post("/api/keep-alive", auth.authorize, validateRequest(apiRoutes.keepAlive), async (req, res) => {
+  try {
+    const { sessionId } = req.body;
+    
     // Update session last active time
-    const session = sessionManager.updateSession(sessionId);
+    const session = await sessionManager.updateSession(sessionId);
     
     if (!session) {
-      return res.status(404).json({ error: "Session not found" });
+      throw new SessionNotFound(sessionId);
     }
     
     // Check for pending reminders
-    const pendingReminders = timeContextManager.getPendingReminders(sessionId);
+    const pendingReminders = (await timeContextManager.getPendingReminders(session.userId))
+      .map(timeContextManager.describeReminder);
     
     res.json({
       success: true,
       session,
       pendingReminders,
-      currentTime: timeContextManager.getCurrentTimeContext()
+      // The session is ended automatically if nothing happens before this
+      expiresAt: session.lastActiveTime + getSessionIdleTimeoutMs(),
+      currentTime: await getUserTimeContext(req)
     });
   } catch (error) {
-    console.error("Error in keep-alive:", error);
-    res.status(500).json({ error: "Failed to update session" });
+    sendError(res, error, "Failed to update session");
   }
 });
 
-// Get agent ID endpoint
-app.get("/api/getAgentId", (req, res) => {
-  const agentId = process.env.AGENT_ID;
+// Get agent ID endpoint, for the default persona or ?persona=
+app.get("/api/getAgentId", validateRequest(apiRoutes.getAgentId), (req, res) => {
+  const persona = personas.getPersona(req.query.persona);
+  
+  if (!persona) {
+    return rejectRequest(res, { persona: "is not a known persona" });
+  }
+  
+  res.json({
+    agentId: `${persona.agentId}`,
+    persona: persona.id
+  });
+});
+
+// List the personas a user can talk to
+app.get("/api/personas", validateRequest(apiRoutes.listPersonas), (req, res) => {
   res.json({
-    agentId: `${agentId}`,
+    defaultPersona: personas.getDefaultPersonaId(),
+    personas: personas.listPersonas().map(({ id, name, language }) => ({ id, name, language }))
   });
 });
 
+// OpenAPI description of every route, generated from api-schemas.js
+app.get("/api/openapi.json", validateRequest(apiRoutes.openApi), (req, res) => {
+  res.json(buildOpenApiDocument({ baseUrl: process.env.PUBLIC_BASE_URL }));
+});
+
 // Health check endpoint
-app.get("/health", (req, res) => {
+app.get("/health", validateRequest(apiRoutes.health), (req, res) => {
   res.status(200).json({ status: "ok" });
 });
 
-// Get conversation history for contextual awareness
-app.get("/api/conversation-history/:userId", async (req, res) => {
+// Housekeeping for schedulers such as Vercel Cron (see vercel.json), where
+// the background timer doesn't run between requests
+app.get("/api/housekeeping", validateRequest(apiRoutes.housekeeping), async (req, res) => {
+  if (!auth.hasCronSecret(req)) {
+    return res.status(401).json({ error: "Missing or invalid cron secret" });
+  }
+  
+  try {
+    const ended = await runHousekeeping();
+    res.json({ success: true, endedSessions: ended.length });
+  } catch (error) {
+    sendError(res, error, "Failed to run housekeeping");
+  }
+});
+
+// Get conversation history for contextual awareness, paginated with a cursor
+app.get("/api/conversation-history/:userId", auth.authorize, validateRequest(apiRoutes.conversationHistory), async (req, res) => {
   try {
     const { userId } = req.params;
-    const limit = req.query.limit ? parseInt(req.query.limit) : 20;
+    const { limit, before, sessionId } = req.query;
     
-    if (!userId) {
-      return res.status(400).json({ error: "Missing userId" });
-    }
-    
-    // Get conversation history
-    const history = await memoryManager.getConversationHistory(userId, limit);
+    // Get a page of conversation history; pass nextCursor as `before` for older messages
+    const page = await conversationLog.getMessages(userId, { limit, before, sessionId });
     
     res.json({
-      history,
-      currentTime: timeContextManager.getCurrentTimeContext()
+      history: page.messages,
+      nextCursor: page.nextCursor,
+      hasMore: page.hasMore,
+      currentTime: await getUserTimeContext(req)
     });
   } catch (error) {
-    console.error("Error retrieving conversation history:", error);
-    res.status(500).json({ error: "Failed to retrieve conversation history" });
+    sendError(res, error, "Failed to retrieve conversation history");
   }
 });
 
 // Check agent stateful status
-app.get("/api/check-stateful", async (req, res) => {
+app.get("/api/check-stateful", auth.authorize, validateRequest(apiRoutes.checkStateful), async (req, res) => {
   try {
     const { userId } = req.query;
     
-    if (!userId) {
-      return res.status(400).json({ error: "Missing userId parameter" });
-    }
-    
     // Try to initialize memory
     await memoryManager.initializeMemory();
     
@@ -398,7 +1361,7 @@ app.get("/api/check-stateful", async (req, res) => {
     const allMemories = await memoryManager.getAllUserMemories(userId);
     
     // Check if we can retrieve time-based information
-    const timeContext = timeContextManager.getCurrentTimeContext();
+    const timeContext = await getUserTimeContext(req, userId);
     
     res.json({
       status: "success",
@@ -414,124 +1377,132 @@ app.get("/api/check-stateful", async (req, res) => {
       sampleHistory: history.slice(0, 3)
     });
   } catch (error) {
-    console.error("Error checking stateful status:", error);
-    res.status(500).json({ 
-      error: "Failed to check stateful status",
-      details: error.message
-    });
+    sendError(res, error, "Failed to check stateful status");
   }
 });
 
 // Create a delay (for waiting before response)
-app.post("/api/create-delay", (req, res) => {
+app.post("/api/create-delay", auth.authorize, validateRequest(apiRoutes.createDelay), async (req, res) => {
   try {
-    const { sessionId, delaySeconds, message } = req.body;
-    
-    if (!sessionId || !delaySeconds) {
-      return res.status(400).json({ error: "Missing required parameters" });
-    }
+    const { sessionId, delaySeconds, message, replace } = req.body;
     
-    // Create the delay
-    const delay = delayHandler.createDelay(sessionId, delaySeconds);
-    
-    // Store the message that will be sent after the delay
-    if (message) {
-      delay.message = message;
-    }
+    // Create the delay, keeping the message that will be sent after it. It
+    // queues behind a running delay unless `replace` is set.
+    const delay = await delayHandler.createDelay(sessionId, delaySeconds, { message, replace: Boolean(replace) });
     
     res.json({
       success: true,
       delay
     });
   } catch (error) {
-    console.error("Error creating delay:", error);
-    res.status(500).json({ error: "Failed to create delay" });
+    sendError(res, error, "Failed to create delay");
   }
 });
 
 // Check if session has active delay
-app.get("/api/check-delay", (req, res) => {
+app.get("/api/check-delay", auth.authorize, validateRequest(apiRoutes.checkDelay), async (req, res) => {
   try {
     const { sessionId } = req.query;
     
-    if (!sessionId) {
-      return res.status(400).json({ error: "Missing sessionId parameter" });
-    }
-    
-    const hasDelay = delayHandler.hasActiveDelay(sessionId);
-    const remainingSeconds = delayHandler.getRemainingDelayTime(sessionId);
+    const hasDelay = await delayHandler.hasActiveDelay(sessionId);
+    const remainingSeconds = await delayHandler.getRemainingDelayTime(sessionId);
     
     res.json({
       hasActiveDelay: hasDelay,
-      remainingSeconds: remainingSeconds
+      remainingSeconds: remainingSeconds,
+      delays: await delayHandler.getDelayQueue(sessionId)
     });
   } catch (error) {
-    console.error("Error checking delay:", error);
-    res.status(500).json({ error: "Failed to check delay" });
+    sendError(res, error, "Failed to check delay");
   }
 });
 
 // Process message for delays
-app.post("/api/process-message", (req, res) => {
+app.post("/api/process-message", auth.authorize, validateRequest(apiRoutes.processMessage), async (req, res) => {
   try {
     const { sessionId, message } = req.body;
     
-    if (!sessionId || !message) {
-      return res.status(400).json({ error: "Missing required parameters" });
-    }
-    
     // Process the message for delay instructions
     const result = delayHandler.processDelayInstructions(message);
     
+    let delay = null;
+    let cancelled = [];
     if (result.hasDelay) {
       // Create a delay
-      delayHandler.createDelay(sessionId, result.delaySeconds);
+      delay = await delayHandler.createDelay(sessionId, result.delaySeconds);
+    } else if (result.interrupt) {
+      // "never mind, answer now" calls off any waits in progress
+      ({ cancelled } = await delayHandler.clearDelay(sessionId, { reason: "interrupted" }));
     }
     
     res.json({
       success: true,
       hasDelay: result.hasDelay,
-      delaySeconds: result.delaySeconds
+      delaySeconds: result.delaySeconds,
+      // Set when the user asked for longer than MAX_DELAY_SECONDS
+      capped: result.capped,
+      delay,
+      interrupted: cancelled.length > 0,
+      cancelledDelays: cancelled
     });
   } catch (error) {
-    console.error("Error processing message:", error);
-    res.status(500).json({ error: "Failed to process message" });
+    sendError(res, error, "Failed to process message");
   }
 });
 
-// Add this middleware to patch the system prompt for better time handling
-app.use(async (req, res, next) => {
-  // Only intercept requests to ElevenLabs API
-  if (req.path.includes('/api/signed-url')) {
-    // Store the original send function
-    const originalSend = res.send;
-    
-    // Override the send function
-    res.send = function(body) {
-      try {
-        // Parse the response body
-        const data = JSON.parse(body);
-        
-        // If it has a signed URL, add our time handling instructions
-        if (data.signedUrl) {
-          console.log('Adding time handling instructions to agent system prompt');
-          
-          // Store the modified URL
-          res.locals.patchedUrl = data.signedUrl;
-          
-          // You'll need to implement a way to patch the ElevenLabs system prompt
-          // This might require a proxy or a custom implementation
-        }
-      } catch (error) {
-        console.error('Error patching system prompt:', error);
-      }
-      
-      // Call the original send function
-      return originalSend.call(this, body);
-    };
+// Cancel every pending delay for a session, so the agent can answer right away
+app.delete("/api/delay/:sessionId", auth.authorize, validateRequest(apiRoutes.cancelDelay), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { cleared, cancelled } = await delayHandler.clearDelay(sessionId, { reason: "cancelled" });
+    
+    if (!cleared) {
+      return res.status(404).json({ error: "No delay for this session" });
+    }
+    
+    res.json({
+      success: true,
+      cancelledDelays: cancelled
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to cancel delay");
+  }
+});
+
+// Stream session events (reminder.triggered, delay.completed, delay.cancelled, session.expiring, session.ended)
+// as Server-Sent Events. Reconnecting clients send Last-Event-ID to replay what
+// they missed; clients that can't hold a stream open get the missed events as JSON.
+app.get("/api/events/:sessionId", auth.authorize, validateRequest(apiRoutes.events), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const lastEventId = parseInt(req.get("Last-Event-ID"), 10) || req.query.lastEventId || 0;
+    
+    if (req.accepts(["json", "text/event-stream"]) === "text/event-stream") {
+      return await eventStream.streamEvents(req, res, sessionId, lastEventId);
+    }
+    
+    const events = await eventStream.getEventsSince(sessionId, lastEventId);
+    
+    res.json({
+      events,
+      lastEventId: events.length > 0 ? events[events.length - 1].id : lastEventId
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to stream events");
   }
-  
-  next();
+});
+
+// Bodies that aren't valid JSON get the same 400 as any other bad input
+app.use((error, req, res, next) => {
+  if (error.type === "entity.parse.failed") {
+    return rejectRequest(res, { body: "must be valid JSON" });
+  }
+  next(error);
+});
+
+// Anything a route let escape gets the same logged, typed answer as the rest
+app.use((error, req, res, next) => {
+  sendError(res, error);
 });
 
 // Add this endpoint to handle errors more gracefully
@@ -545,5 +1516,14 @@ app.use((req, res, next) => {
 
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
-  console.log(`Backend server running on port ${PORT}`);
+  logger.info("Backend server running", { port: PORT });
+  
+  // Recover reminders stored before the restart and start polling for due ones
+  reminderScheduler.start();
+  
+  // Keep delay and session-expiry events flowing while no requests come in
+  const housekeepingTimer = setInterval(() => {
+    runHousekeeping().catch(error => logger.error("Error running housekeeping", { error }));
+  }, parseInt(process.env.HOUSEKEEPING_INTERVAL_MS, 10) || 1000);
+  housekeepingTimer.unref();
 });
@@ -0,0 +1,314 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// A session store keeps small JSON records grouped by namespace
+// ("sessions", "conversations", "delays", ...). Every method is async so
+// the in-memory, file and Redis implementations are interchangeable:
+//   get(namespace, key)                      -> value | null
+//   set(namespace, key, value, { ttlMs })    -> value
+//   setIfAbsent(namespace, key, value, { ttlMs }) -> boolean, false if the key
+//                                            was already set
+//   delete(namespace, key)                   -> boolean
+//   list(namespace)                          -> [{ key, value }]
+// Records written with a ttlMs expire once they have been idle that long.
+
+const isExpired = (entry, now = Date.now()) => Boolean(entry.expiresAt) && entry.expiresAt <= now;
+
+const toEntry = (value, options = {}) => ({
+  value,
+  expiresAt: options.ttlMs ? Date.now() + options.ttlMs : null
+});
+
+// Process-local store; fine for a single long-running server and for tests
+const createMemorySessionStore = () => {
+  const namespaces = new Map();
+
+  const bucket = (namespace) => {
+    if (!namespaces.has(namespace)) {
+      namespaces.set(namespace, new Map());
+    }
+    return namespaces.get(namespace);
+  };
+
+  return {
+    type: 'memory',
+
+    get: async (namespace, key) => {
+      const entries = bucket(namespace);
+      const entry = entries.get(key);
+      if (!entry) {
+        return null;
+      }
+      if (isExpired(entry)) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+
+    set: async (namespace, key, value, options = {}) => {
+      bucket(namespace).set(key, toEntry(value, options));
+      return value;
+    },
+
+    setIfAbsent: async (namespace, key, value, options = {}) => {
+      const entries = bucket(namespace);
+      const entry = entries.get(key);
+      if (entry && !isExpired(entry)) {
+        return false;
+      }
+      entries.set(key, toEntry(value, options));
+      return true;
+    },
+
+    delete: async (namespace, key) => bucket(namespace).delete(key),
+
+    list: async (namespace) => {
+      const entries = bucket(namespace);
+      const now = Date.now();
+      const results = [];
+      entries.forEach((entry, key) => {
+        if (isExpired(entry, now)) {
+          entries.delete(key);
+        } else {
+          results.push({ key, value: entry.value });
+        }
+      });
+      return results;
+    }
+  };
+};
+
+// JSON file store so sessions survive restarts of the same instance
+const createFileSessionStore = (options = {}) => {
+  const filePath = path.resolve(
+    options.filePath || process.env.SESSION_STORE_PATH || path.join('data', 'sessions.json')
+  );
+
+  // Always re-read the file so several processes sharing it see each other's writes
+  const load = () => {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Could not read session file, starting empty', { filePath, error });
+      }
+      return {};
+    }
+  };
+
+  const persist = (state) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(state));
+    fs.renameSync(tmpPath, filePath);
+  };
+
+  return {
+    type: 'file',
+    filePath,
+
+    get: async (namespace, key) => {
+      const state = load();
+      const entry = state[namespace] && state[namespace][key];
+      if (!entry) {
+        return null;
+      }
+      if (isExpired(entry)) {
+        delete state[namespace][key];
+        persist(state);
+        return null;
+      }
+      return entry.value;
+    },
+
+    set: async (namespace, key, value, options = {}) => {
+      const state = load();
+      state[namespace] = state[namespace] || {};
+      state[namespace][key] = toEntry(value, options);
+      persist(state);
+      return value;
+    },
+
+    // Atomic within this process only, like the rest of the file store
+    setIfAbsent: async (namespace, key, value, options = {}) => {
+      const state = load();
+      state[namespace] = state[namespace] || {};
+      const entry = state[namespace][key];
+      if (entry && !isExpired(entry)) {
+        return false;
+      }
+      state[namespace][key] = toEntry(value, options);
+      persist(state);
+      return true;
+    },
+
+    delete: async (namespace, key) => {
+      const state = load();
+      if (!state[namespace] || !state[namespace][key]) {
+        return false;
+      }
+      delete state[namespace][key];
+      persist(state);
+      return true;
+    },
+
+    list: async (namespace) => {
+      const state = load();
+      const entries = state[namespace] || {};
+      const now = Date.now();
+      let pruned = false;
+      const results = [];
+
+      Object.keys(entries).forEach(key => {
+        if (isExpired(entries[key], now)) {
+          delete entries[key];
+          pruned = true;
+        } else {
+          results.push({ key, value: entries[key].value });
+        }
+      });
+
+      if (pruned) {
+        persist(state);
+      }
+      return results;
+    }
+  };
+};
+
+// Redis-compatible store (Redis, Upstash, Valkey, ...) for serverless
+// deployments where every instance has to see the same sessions. Takes an
+// ioredis-style client, or builds one from REDIS_URL when ioredis is installed.
+const createRedisSessionStore = (options = {}) => {
+  let client = options.client;
+  if (!client) {
+    const redisUrl = options.url || process.env.REDIS_URL;
+    if (!redisUrl) {
+      throw new Error('REDIS_URL is required for the redis session store');
+    }
+    const Redis = require('ioredis');
+    client = new Redis(redisUrl);
+  }
+
+  const prefix = options.prefix || process.env.SESSION_STORE_PREFIX || 'voicechat';
+  const redisKey = (namespace, key) => `${prefix}:${namespace}:${key}`;
+  // Each namespace keeps a set of its keys so list() doesn't have to scan the
+  // keyspace. Records that expired are dropped from the set when list() finds
+  // them gone.
+  const indexKey = (namespace) => `${prefix}:index:${namespace}`;
+
+  return {
+    type: 'redis',
+    client,
+
+    get: async (namespace, key) => {
+      const raw = await client.get(redisKey(namespace, key));
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    set: async (namespace, key, value, options = {}) => {
+      const raw = JSON.stringify(value);
+      if (options.ttlMs) {
+        await client.set(redisKey(namespace, key), raw, 'PX', options.ttlMs);
+      } else {
+        await client.set(redisKey(namespace, key), raw);
+      }
+      await client.sadd(indexKey(namespace), key);
+      return value;
+    },
+
+    setIfAbsent: async (namespace, key, value, options = {}) => {
+      const raw = JSON.stringify(value);
+      const result = options.ttlMs
+        ? await client.set(redisKey(namespace, key), raw, 'PX', options.ttlMs, 'NX')
+        : await client.set(redisKey(namespace, key), raw, 'NX');
+      if (result !== 'OK') {
+        return false;
+      }
+      await client.sadd(indexKey(namespace), key);
+      return true;
+    },
+
+    delete: async (namespace, key) => {
+      const removed = await client.del(redisKey(namespace, key));
+      await client.srem(indexKey(namespace), key);
+      return removed > 0;
+    },
+
+    list: async (namespace) => {
+      const keys = await client.smembers(indexKey(namespace));
+      if (keys.length === 0) {
+        return [];
+      }
+      const values = await client.mget(keys.map(key => redisKey(namespace, key)));
+      const expired = keys.filter((key, index) => !values[index]);
+      if (expired.length > 0) {
+        await client.srem(indexKey(namespace), ...expired);
+      }
+      return keys
+        .map((key, index) => ({ key, value: values[index] ? JSON.parse(values[index]) : null }))
+        .filter(entry => entry.value !== null);
+    }
+  };
+};
+
+const sessionStores = {
+  memory: createMemorySessionStore,
+  file: createFileSessionStore,
+  redis: createRedisSessionStore
+};
+
+const createSessionStore = (type = process.env.SESSION_STORE || 'memory', options = {}) => {
+  const factory = sessionStores[type];
+  if (!factory) {
+    throw new Error(`Unknown session store "${type}". Available: ${Object.keys(sessionStores).join(', ')}`);
+  }
+  return factory(options);
+};
+
+// Shared instance used by the session manager, server.js and the delay handler
+let sharedStore = null;
+
+const getSessionStore = () => {
+  if (!sharedStore) {
+    sharedStore = createSessionStore();
+    logger.info('Session store initialized', { store: sharedStore.type });
+  }
+  return sharedStore;
+};
+
+const setSessionStore = (store) => {
+  sharedStore = store;
+};
+
+// Sessions are ended (summarised and cleaned up) after
+// SESSION_IDLE_TIMEOUT_SECONDS without activity (default 30 minutes)
+const getSessionIdleTimeoutMs = () => {
+  const seconds = parseInt(process.env.SESSION_IDLE_TIMEOUT_SECONDS, 10);
+  return (Number.isFinite(seconds) && seconds > 0 ? seconds : 30 * 60) * 1000;
+};
+
+// How long after the idle timeout a session's records may still be needed to
+// end it, e.g. when no instance ran housekeeping in the meantime
+const IDLE_END_GRACE_MS = 10 * 60 * 1000;
+
+// Session records are dropped from the store after SESSION_TTL_SECONDS without
+// activity (default 24h), and never before the idle timeout plus a grace period
+const getSessionTtlMs = () => {
+  const seconds = parseInt(process.env.SESSION_TTL_SECONDS, 10);
+  const ttlMs = (Number.isFinite(seconds) && seconds > 0 ? seconds : 24 * 60 * 60) * 1000;
+  return Math.max(ttlMs, getSessionIdleTimeoutMs() + IDLE_END_GRACE_MS);
+};
+
+module.exports = {
+  createSessionStore,
+  createMemorySessionStore,
+  createFileSessionStore,
+  createRedisSessionStore,
+  getSessionStore,
+  setSessionStore,
+  getSessionTtlMs,
+  getSessionIdleTimeoutMs
+};
@@ -0,0 +1,233 @@
+// Summarises a finished session and pulls out durable facts about the user.
+// Every summariser takes the session's messages and returns:
+//   { summary, topics: [string], facts: [{ type: 'name' | 'preference' | 'plan', text }] }
+// Pick one with SUMMARIZER: "openai" (needs OPENAI_API_KEY) or "extractive",
+// the offline deterministic summariser used in tests and as a fallback.
+
+const logger = require('./logger');
+
+const FACT_TYPES = ['name', 'preference', 'plan'];
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'you', 'your', 'are', 'was', 'with', 'that', 'this', 'have', 'has',
+  'can', 'will', 'what', 'how', 'about', 'just', 'like', 'want', 'know', 'please', 'okay',
+  'yes', 'not', 'but', 'from', 'they', 'them', 'then', 'there', 'when', 'would', 'could',
+  'should', 'also', 'some', 'make', 'love', 'me', 'my', 'mujhe', 'kya', 'hai', 'hain', 'aur', 'main',
+  'mein', 'nahi', 'haan', 'karo', 'kar', 'tum', 'aap', 'bhi', 'toh', 'ko', 'ki', 'ke', 'ka',
+  'mera', 'meri', 'mere', 'naam'
+]);
+
+// A captured clause ends at punctuation or where the next "... and I ..." starts
+const CLAUSE = "([^.!?]{2,80}?)(?=\\s+(?:and|but|because|so)\\s+i\\b|[.!?,]|$)";
+
+// A name is at most three words, stopping before a joining word such as "and"
+const NAME = "([\\p{L}][\\p{L}'-]*(?:\\s+(?!(?:and|but|because|so|i|aur|hai)\\b)[\\p{L}][\\p{L}'-]*){0,2})";
+
+// Patterns for facts worth remembering beyond this session
+const FACT_PATTERNS = [
+  { type: 'name', pattern: new RegExp(`\\b(?:my name is|call me|i am called)\\s+${NAME}`, 'iu'), format: name => `User's name is ${name}` },
+  { type: 'name', pattern: /\bmera naam\s+([\p{L}][\p{L}' -]{0,40}?)\s+hai\b/iu, format: name => `User's name is ${name}` },
+  { type: 'preference', pattern: new RegExp(`\\bi (?:really )?(like|love|prefer|enjoy|hate|dislike|don't like)\\s+${CLAUSE}`, 'i'), format: (verb, what) => `User ${verb === "don't like" ? 'does not like' : `${verb}s`} ${what}` },
+  { type: 'preference', pattern: /\bmujhe\s+([^.!?]{2,60}?)\s+pasand hai\b/i, format: what => `User likes ${what}` },
+  { type: 'plan', pattern: new RegExp(`\\bi(?:'m| am) (?:going to|planning to)\\s+${CLAUSE}`, 'i'), format: what => `User plans to ${what}` },
+  { type: 'plan', pattern: new RegExp(`\\bi (?:will|plan to|have to|need to)\\s+${CLAUSE}`, 'i'), format: what => `User plans to ${what}` }
+];
+
+const cleanCapture = (text) => text.trim().replace(/[\s,;:]+$/, '');
+
+const extractFacts = (messages) => {
+  const facts = [];
+  const seen = new Set();
+
+  messages
+    .filter(message => message.role === 'user' && typeof message.content === 'string')
+    .forEach(message => {
+      FACT_PATTERNS.forEach(({ type, pattern, format }) => {
+        const match = message.content.match(pattern);
+        if (!match) {
+          return;
+        }
+        const text = format(...match.slice(1).map(cleanCapture));
+        const key = text.toLowerCase();
+        if (!seen.has(key)) {
+          seen.add(key);
+          facts.push({ type, text });
+        }
+      });
+    });
+
+  return facts;
+};
+
+const extractTopics = (messages, count = 5) => {
+  const frequencies = new Map();
+
+  messages
+    .filter(message => message.role === 'user' && typeof message.content === 'string')
+    .forEach(message => {
+      message.content
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word.length > 2 && !STOPWORDS.has(word) && !/^\d+$/.test(word))
+        .forEach(word => frequencies.set(word, (frequencies.get(word) || 0) + 1));
+    });
+
+  return [...frequencies.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, count)
+    .map(([word]) => word);
+};
+
+// Offline summariser: keyword topics plus pattern-matched facts, no network
+const createExtractiveSummarizer = () => ({
+  name: 'extractive',
+
+  summarize: async ({ messages = [] }) => {
+    const topics = extractTopics(messages);
+    const facts = extractFacts(messages);
+    const userTurns = messages.filter(message => message.role === 'user').length;
+
+    let summary = `Conversation with ${messages.length} messages (${userTurns} from the user).`;
+    if (topics.length > 0) {
+      summary += ` Topics discussed: ${topics.join(', ')}.`;
+    }
+    if (facts.length > 0) {
+      summary += ` ${facts.map(fact => fact.text).join('. ')}.`;
+    }
+
+    return { summary, topics, facts };
+  }
+});
+
+// Summariser backed by an OpenAI chat model returning JSON
+const createOpenAISummarizer = (options = {}) => {
+  const apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+  const baseUrl = options.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1';
+  const model = options.model || process.env.SUMMARIZER_MODEL || 'gpt-4o-mini';
+  // Ending a session waits for the summary, so a slow upstream is given up on
+  // and the extractive summariser used instead
+  const timeoutMs = options.timeoutMs || parseInt(process.env.SUMMARIZER_TIMEOUT_MS, 10) || 15000;
+
+  if (!apiKey) {
+    throw new Error('OPENAI_API_KEY is required for the openai summarizer');
+  }
+
+  return {
+    name: 'openai',
+
+    summarize: async ({ messages = [] }) => {
+      const transcript = messages
+        .map(message => `${message.role}: ${message.content}`)
+        .join('\n');
+
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+      let data;
+      try {
+        const response = await fetch(`${baseUrl}/chat/completions`, {
+          method: 'POST',
+          signal: controller.signal,
+          headers: {
+            'Authorization': `Bearer ${apiKey}`,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            model,
+            temperature: 0,
+            response_format: { type: 'json_object' },
+            messages: [
+              {
+                role: 'system',
+                content: 'Summarise this voice conversation for the assistant\'s long-term memory. ' +
+                  'Reply with JSON: {"summary": string (2-3 sentences on what was actually discussed), ' +
+                  '"topics": [string], "facts": [{"type": "name" | "preference" | "plan", "text": string}]}. ' +
+                  'Facts are durable things about the user worth remembering in future conversations, ' +
+                  'written in the third person ("User prefers tea"). Leave facts empty if there are none.'
+              },
+              { role: 'user', content: transcript }
+            ]
+          })
+        });
+
+        if (!response.ok) {
+          throw new Error(`OpenAI summarisation failed with status ${response.status}`);
+        }
+
+        data = await response.json();
+      } finally {
+        clearTimeout(timer);
+      }
+
+      const result = JSON.parse(data.choices[0].message.content);
+
+      return {
+        summary: String(result.summary || ''),
+        topics: Array.isArray(result.topics) ? result.topics.map(String) : [],
+        facts: (Array.isArray(result.facts) ? result.facts : [])
+          .filter(fact => fact && FACT_TYPES.includes(fact.type) && fact.text)
+          .map(fact => ({ type: fact.type, text: String(fact.text) }))
+      };
+    }
+  };
+};
+
+const summarizers = {
+  extractive: createExtractiveSummarizer,
+  openai: createOpenAISummarizer
+};
+
+const registerSummarizer = (name, factory) => {
+  summarizers[name] = factory;
+};
+
+const createSummarizer = (name = process.env.SUMMARIZER || (process.env.OPENAI_API_KEY ? 'openai' : 'extractive'), options = {}) => {
+  const factory = summarizers[name];
+  if (!factory) {
+    throw new Error(`Unknown summarizer "${name}". Available: ${Object.keys(summarizers).join(', ')}`);
+  }
+  return factory(options);
+};
+
+let activeSummarizer = null;
+
+const getSummarizer = () => {
+  if (!activeSummarizer) {
+    activeSummarizer = createSummarizer();
+  }
+  return activeSummarizer;
+};
+
+const setSummarizer = (summarizer) => {
+  activeSummarizer = summarizer;
+};
+
+// Summarise with the configured summariser, falling back to the extractive
+// one so a failing upstream never loses the end-of-session record. A
+// summariser that can't even be built (e.g. openai without OPENAI_API_KEY)
+// falls back the same way.
+const summarizeSession = async (input) => {
+  let summarizer;
+  try {
+    summarizer = getSummarizer();
+  } catch (error) {
+    logger.warn('Could not create the configured summariser, using extractive summary', { error });
+    summarizer = createExtractiveSummarizer();
+  }
+
+  try {
+    return { ...(await summarizer.summarize(input)), summarizer: summarizer.name };
+  } catch (error) {
+    logger.warn('Error summarising session, using extractive summary', { summarizer: summarizer.name, error });
+    return { ...(await createExtractiveSummarizer().summarize(input)), summarizer: 'extractive' };
+  }
+};
+
+module.exports = {
+  createSummarizer,
+  createExtractiveSummarizer,
+  createOpenAISummarizer,
+  registerSummarizer,
+  getSummarizer,
+  setSummarizer,
+  summarizeSession
+};
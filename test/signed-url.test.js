@@ -0,0 +1,163 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+// Runs the server against a local mock of the ElevenLabs API and checks the
+// conversation overrides /api/signed-url hands back. Everything the server
+// stores goes to a temporary directory.
+
+const AGENT_ID = 'agent-under-test';
+
+let tmpDir;
+let mock;
+let server;
+let baseUrl;
+let mockFailures = 0;
+const mockRequests = [];
+
+const getFreePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer();
+  probe.on('error', reject);
+  probe.listen(0, () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+const startMock = () => new Promise(resolve => {
+  mock = http.createServer((req, res) => {
+    mockRequests.push({ url: req.url, apiKey: req.headers['xi-api-key'] });
+    res.setHeader('content-type', 'application/json');
+    if (mockFailures > 0) {
+      mockFailures -= 1;
+      res.statusCode = 500;
+      return res.end(JSON.stringify({ detail: 'mock failure' }));
+    }
+    res.end(JSON.stringify({ signed_url: 'wss://mock.elevenlabs.test/convai?token=abc' }));
+  });
+  mock.listen(0, () => resolve(mock.address().port));
+});
+
+const startServer = (port, env) => new Promise((resolve, reject) => {
+  server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: { ...process.env, ...env, PORT: String(port) },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  const timer = setTimeout(() => reject(new Error('Server did not start')), 10000);
+  let output = '';
+  server.stdout.on('data', chunk => {
+    output += chunk;
+    if (output.includes('Backend server running')) {
+      clearTimeout(timer);
+      resolve();
+    }
+  });
+  server.on('exit', code => {
+    clearTimeout(timer);
+    reject(new Error(`Server exited with code ${code}`));
+  });
+});
+
+const request = async (pathname, { token, method = 'GET', body } = {}) => {
+  const headers = { 'content-type': 'application/json' };
+  if (token) {
+    headers.authorization = `Bearer ${token}`;
+  }
+  const response = await fetch(`${baseUrl}${pathname}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+before(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'voicechat-test-'));
+  const templatesPath = path.join(tmpDir, 'templates.json');
+  fs.writeFileSync(templatesPath, JSON.stringify({
+    basePrompt: 'You are a patient companion.',
+    firstMessage: 'Good {{time_of_day}}! It is {{day_of_week}}.'
+  }));
+
+  const mockPort = await startMock();
+  const port = await getFreePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+
+  await startServer(port, {
+    ELEVENLABS_API_URL: `http://127.0.0.1:${mockPort}`,
+    XI_API_KEY: 'test-key',
+    AGENT_ID,
+    AUTH_SECRET: 'test-secret',
+    SESSION_STORE: 'memory',
+    MEMORY_BACKEND: 'local',
+    MEMORY_FILE_PATH: path.join(tmpDir, 'memories.json'),
+    CONVERSATION_LOG_DIR: path.join(tmpDir, 'conversation-logs'),
+    PROFILE_STORE_PATH: path.join(tmpDir, 'profiles.json'),
+    PROMPT_TEMPLATES_PATH: templatesPath,
+    PERSONAS_PATH: '',
+    SUMMARIZER: 'extractive'
+  });
+});
+
+after(async () => {
+  if (server) {
+    server.removeAllListeners('exit');
+    server.kill();
+  }
+  if (mock) {
+    await new Promise(resolve => mock.close(resolve));
+  }
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('signed-url asks the ElevenLabs API for the configured agent', async () => {
+  const { status, body } = await request('/api/signed-url?timezone=Asia/Tokyo');
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.signedUrl, 'wss://mock.elevenlabs.test/convai?token=abc');
+  const call = mockRequests[mockRequests.length - 1];
+  assert.strictEqual(call.url, `/v1/convai/conversation/get_signed_url?agent_id=${AGENT_ID}`);
+  assert.strictEqual(call.apiKey, 'test-key');
+});
+
+test('signed-url returns overrides built from the configured templates', async () => {
+  const { body } = await request('/api/signed-url?timezone=Asia/Tokyo');
+  const { agent } = body.conversationOverrides;
+  const variables = body.dynamicVariables;
+
+  assert.strictEqual(agent.firstMessage, `Good ${variables.time_of_day}! It is ${variables.day_of_week}.`);
+  assert.ok(agent.prompt.prompt.startsWith('You are a patient companion.\n\n## Time handling'));
+  assert.ok(variables.system_prompt_additions.includes(`It is currently ${variables.current_time}`));
+  assert.strictEqual(variables.session_id, body.sessionId);
+  assert.strictEqual(variables.user_id, body.userId);
+});
+
+test('signed-url puts what the user said before into the prompt additions', async () => {
+  const first = await request('/api/signed-url');
+  const { token, userId, sessionId } = first.body;
+
+  const stored = await request('/api/store-conversation', {
+    token,
+    method: 'POST',
+    body: { userId, sessionId, messages: [{ role: 'user', content: 'I play the sitar on weekends' }] }
+  });
+  assert.strictEqual(stored.status, 200);
+
+  const { body } = await request(`/api/signed-url?userId=${userId}`, { token });
+  assert.ok(body.dynamicVariables.user_memories.includes('I play the sitar on weekends'));
+  assert.ok(body.dynamicVariables.system_prompt_additions.includes('I play the sitar on weekends'));
+});
+
+test('signed-url reports an ElevenLabs failure as a 502', async () => {
+  mockFailures = 1;
+  const { status, body } = await request('/api/signed-url');
+
+  assert.strictEqual(status, 502);
+  assert.strictEqual(body.code, 'upstream_elevenlabs_error');
+});
@@ -0,0 +1,71 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { createExtractiveSummarizer, setSummarizer, summarizeSession } = require('../summarizer');
+
+// The extractive summariser is the offline, deterministic one, so its output
+// can be checked exactly
+
+const messages = [
+  { role: 'user', content: 'Hi, my name is Asha Rao and I need help planning my week.' },
+  { role: 'assistant', content: 'Happy to help, Asha. What is on your mind?' },
+  { role: 'user', content: 'I really like morning walks, but I hate traffic. I am going to visit Pune on Friday.' },
+  { role: 'user', content: 'Mujhe chai pasand hai. Pune has great chai.' }
+];
+
+afterEach(() => {
+  setSummarizer(null);
+});
+
+test('extractive summariser pulls out names, preferences and plans', async () => {
+  const { facts } = await createExtractiveSummarizer().summarize({ messages });
+
+  assert.deepStrictEqual(facts, [
+    { type: 'name', text: 'User\'s name is Asha Rao' },
+    { type: 'preference', text: 'User likes morning walks' },
+    { type: 'plan', text: 'User plans to visit Pune on Friday' },
+    { type: 'preference', text: 'User likes chai' }
+  ]);
+});
+
+test('extractive summariser stops a name at the next clause', async () => {
+  const { facts } = await createExtractiveSummarizer().summarize({
+    messages: [
+      { role: 'user', content: 'My name is Ravi and I live in Delhi' },
+      { role: 'user', content: 'Mera naam Priya hai' }
+    ]
+  });
+
+  assert.deepStrictEqual(facts.filter(fact => fact.type === 'name').map(fact => fact.text), [
+    'User\'s name is Ravi',
+    'User\'s name is Priya'
+  ]);
+});
+
+test('extractive summariser ranks topics by how often the user mentions them', async () => {
+  const { summary, topics } = await createExtractiveSummarizer().summarize({ messages });
+
+  assert.deepStrictEqual(topics.slice(0, 2), ['chai', 'pune']);
+  assert.ok(summary.startsWith('Conversation with 4 messages (3 from the user). Topics discussed: chai, pune'));
+});
+
+test('extractive summariser gives the same result every time', async () => {
+  const summarizer = createExtractiveSummarizer();
+  const first = await summarizer.summarize({ messages });
+  const second = await summarizer.summarize({ messages: messages.map(message => ({ ...message })) });
+
+  assert.deepStrictEqual(second, first);
+});
+
+test('summarizeSession falls back to the extractive summary when the summariser fails', async () => {
+  setSummarizer({
+    name: 'broken',
+    summarize: async () => {
+      throw new Error('upstream down');
+    }
+  });
+
+  const result = await summarizeSession({ messages });
+  const expected = await createExtractiveSummarizer().summarize({ messages });
+
+  assert.deepStrictEqual(result, { ...expected, summarizer: 'extractive' });
+});
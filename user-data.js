@@ -0,0 +1,134 @@
+const { v4: uuidv4 } = require('uuid');
+const { memoryManager, sessionManager, timeContextManager, activeConversations } = require('./memory-manager');
+const { getSessionStore } = require('./session-store');
+const delayHandler = require('./delay-handler');
+const userProfiles = require('./user-profiles');
+const eventStream = require('./event-stream');
+const conversationLog = require('./conversation-log');
+const logger = require('./logger');
+const { MemoryUnavailable } = require('./errors');
+
+// Export and erase everything we hold about a user: memories, chat history,
+// profile, session summaries, sessions, conversations, reminders, delays and events.
+
+const DELETION_RECEIPTS = 'deletion-receipts';
+
+// Conversations the user owns, as [{ key, value }]
+const listOwnedConversations = async (userId) => (await activeConversations.list())
+  .filter(entry => entry.value.userId === userId);
+
+// Every session ID we know for the user, live, recently ended or from reminders
+const collectSessionIds = (sessions, endedSessions, conversations, reminders) => [...new Set([
+  ...sessions.map(entry => entry.key),
+  ...endedSessions.map(entry => entry.key),
+  ...conversations.map(entry => entry.key),
+  ...reminders.map(reminder => reminder.sessionId)
+])];
+
+async function exportUserData(userId) {
+  const memories = await memoryManager.getAllUserMemories(userId);
+  const memoriesWithHistory = await Promise.all(memories.map(async (memory) => ({
+    ...memory,
+    history: await memoryManager.getMemoryHistory(memory.id)
+  })));
+
+  const { live: sessions, ended: endedSessions } = await sessionManager.listUserSessionRecords(userId);
+  const conversations = await listOwnedConversations(userId);
+  const reminders = await timeContextManager.listReminders({ userId, status: 'all' });
+  const sessionIds = collectSessionIds(sessions, endedSessions, conversations, reminders);
+
+  const delays = (await Promise.all(sessionIds.map(sessionId => delayHandler.getDelayRecord(sessionId))))
+    .filter(Boolean);
+
+  return {
+    userId,
+    exportedAt: new Date().toISOString(),
+    profile: await userProfiles.getProfile(userId),
+    memories: memoriesWithHistory,
+    chatHistory: (await conversationLog.getMessages(userId, { limit: Infinity })).messages,
+    sessionSummaries: memories.filter(memory => memory.metadata && memory.metadata.category === 'session_summary'),
+    sessions: sessions.map(entry => ({ sessionId: entry.key, ...entry.value })),
+    endedSessions: endedSessions.map(entry => ({ sessionId: entry.key, ...entry.value })),
+    conversations: conversations.map(entry => ({ sessionId: entry.key, ...entry.value })),
+    reminders,
+    delays
+  };
+}
+
+// Purge the user everywhere and return a receipt of what was removed. The
+// receipt holds counts only, and is kept so the deletion can be audited later.
+async function purgeUserData(userId) {
+  const requestedAt = new Date().toISOString();
+  const errors = [];
+
+  // With memory down everything else is still purged, and the receipt
+  // records that the memories weren't
+  let memories = [];
+  let memoriesDeleted = false;
+  try {
+    memories = await memoryManager.getAllUserMemories(userId);
+    await memoryManager.deleteUserMemories(userId);
+    memoriesDeleted = true;
+  } catch (error) {
+    if (!(error instanceof MemoryUnavailable)) {
+      throw error;
+    }
+    logger.error('Could not purge memories', { userId, error });
+    errors.push('memories');
+  }
+
+  const chatHistory = await conversationLog.getMessages(userId, { limit: Infinity });
+  await conversationLog.deleteUserLog(userId);
+
+  const { live: sessions, ended: endedSessions } = await sessionManager.listUserSessionRecords(userId);
+  const conversations = await listOwnedConversations(userId);
+  const reminders = await timeContextManager.listReminders({ userId, status: 'all' });
+  const sessionIds = collectSessionIds(sessions, endedSessions, conversations, reminders);
+
+  let delaysDeleted = 0;
+  for (const sessionId of sessionIds) {
+    await sessionManager.deleteSessionRecords(sessionId);
+    await activeConversations.delete(sessionId);
+    await eventStream.clearEvents(sessionId);
+    // Silently, so no delay.cancelled events are left behind for the purged session
+    const { cleared } = await delayHandler.clearDelay(sessionId, { notify: false });
+    if (cleared) {
+      delaysDeleted += 1;
+    }
+  }
+
+  for (const reminder of reminders) {
+    await timeContextManager.activeReminders.delete(reminder.id);
+  }
+
+  const profileDeleted = await userProfiles.deleteProfile(userId);
+
+  const receipt = {
+    receiptId: uuidv4(),
+    userId,
+    requestedAt,
+    completedAt: new Date().toISOString(),
+    purged: {
+      profile: Boolean(profileDeleted),
+      memories: memoriesDeleted ? memories.length : 0,
+      chatMessages: chatHistory.messages.length,
+      sessions: sessions.length + endedSessions.length,
+      conversations: conversations.length,
+      reminders: reminders.length,
+      delays: delaysDeleted,
+      eventStreams: sessionIds.length
+    },
+    complete: errors.length === 0,
+    errors
+  };
+
+  await getSessionStore().set(DELETION_RECEIPTS, receipt.receiptId, receipt);
+  logger.info('Purged user data', { userId, receiptId: receipt.receiptId });
+
+  return receipt;
+}
+
+module.exports = {
+  exportUserData,
+  purgeUserData
+};
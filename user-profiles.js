@@ -0,0 +1,248 @@
+const path = require('path');
+const moment = require('moment-timezone');
+const { getSessionStore, createFileSessionStore } = require('./session-store');
+const personas = require('./personas');
+const logger = require('./logger');
+
+// Stored attributes of a user, keyed by userId: display name, preferred
+// language, timezone and locale, persona preferences and consent flags.
+// The time context, reminder parsing and memory timestamps are computed in
+// the profile's timezone; context assembly and new sessions read the rest.
+const USER_PROFILES = 'user-profiles';
+
+// Profiles hold the user's consent, so they have to outlive the process: a
+// lost profile would quietly opt the user back in to everything. They share
+// the session store when that's durable (file or Redis) and otherwise go to
+// their own file at PROFILE_STORE_PATH.
+let profileStore = null;
+
+const getProfileStore = () => {
+  if (!profileStore) {
+    const shared = getSessionStore();
+    profileStore = shared.type === 'memory'
+      ? createFileSessionStore({ filePath: process.env.PROFILE_STORE_PATH || path.join('data', 'profiles.json') })
+      : shared;
+    logger.info('Profile store initialized', { store: profileStore.type });
+  }
+  return profileStore;
+};
+
+const setProfileStore = (store) => {
+  profileStore = store;
+};
+
+// Consent flags and what we assume before the user has answered. Both cover
+// things the app always did, so they default to allowed:
+//   memory       store long-term memories and session summaries
+//   transcripts  keep the chat log of each conversation
+const DEFAULT_CONSENT = {
+  memory: true,
+  transcripts: true
+};
+
+const MAX_DISPLAY_NAME_LENGTH = 100;
+
+const getDefaultTimezone = () => process.env.DEFAULT_TIMEZONE || 'UTC';
+const getDefaultLocale = () => process.env.DEFAULT_LOCALE || 'en';
+
+const isValidTimezone = (timezone) => typeof timezone === 'string' && Boolean(moment.tz.zone(timezone));
+
+// BCP 47 tags such as "en", "hi-IN"
+const isValidLocale = (locale) => {
+  if (typeof locale !== 'string' || !locale) {
+    return false;
+  }
+  try {
+    return Intl.getCanonicalLocales(locale).length === 1;
+  } catch (error) {
+    return false;
+  }
+};
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Checks for each editable field; null clears a field
+const PROFILE_FIELDS = {
+  displayName: (value) => (typeof value === 'string' && value.trim().length > 0 && value.length <= MAX_DISPLAY_NAME_LENGTH
+    ? null
+    : `must be a non-empty string of at most ${MAX_DISPLAY_NAME_LENGTH} characters`),
+  preferredLanguage: (value) => (isValidLocale(value) ? null : 'must be a language tag such as "en" or "hi-IN"'),
+  timezone: (value) => (isValidTimezone(value) ? null : 'must be an IANA timezone such as "Asia/Kolkata"'),
+  locale: (value) => (isValidLocale(value) ? null : 'must be a locale tag such as "en" or "hi-IN"'),
+  personaPreferences: (value) => {
+    if (!isPlainObject(value)) {
+      return 'must be an object';
+    }
+    if (value.defaultPersona !== undefined && value.defaultPersona !== null && !personas.getPersona(value.defaultPersona)) {
+      return `defaultPersona "${value.defaultPersona}" is not a known persona`;
+    }
+    return null;
+  },
+  consent: (value) => {
+    if (!isPlainObject(value)) {
+      return 'must be an object';
+    }
+    const invalid = Object.entries(value)
+      .filter(([flag, granted]) => !(flag in DEFAULT_CONSENT) || typeof granted !== 'boolean')
+      .map(([flag]) => flag);
+    return invalid.length > 0
+      ? `flags must be booleans for: ${Object.keys(DEFAULT_CONSENT).join(', ')} (invalid: ${invalid.join(', ')})`
+      : null;
+  }
+};
+
+// Check a profile update; returns { errors, values } where errors maps each
+// bad field to what's wrong with it and values holds the normalized fields
+const validateProfileFields = (fields = {}) => {
+  const errors = {};
+  const values = {};
+
+  Object.entries(fields).forEach(([field, value]) => {
+    if (!PROFILE_FIELDS[field]) {
+      errors[field] = 'is not a profile field';
+      return;
+    }
+    if (value === null) {
+      values[field] = null;
+      return;
+    }
+    const problem = PROFILE_FIELDS[field](value);
+    if (problem) {
+      errors[field] = problem;
+      return;
+    }
+
+    if (field === 'displayName') {
+      values[field] = value.trim();
+    } else if (field === 'preferredLanguage' || field === 'locale') {
+      values[field] = Intl.getCanonicalLocales(value)[0];
+    } else if (field === 'personaPreferences') {
+      values[field] = { defaultPersona: value.defaultPersona || null };
+    } else {
+      values[field] = value;
+    }
+  });
+
+  return { errors, values };
+};
+
+async function getProfile(userId) {
+  return getProfileStore().get(USER_PROFILES, userId);
+}
+
+// Create the profile, or replace every editable field of an existing one.
+// Fields that aren't given are cleared.
+async function replaceProfile(userId, fields = {}) {
+  const existing = await getProfile(userId);
+  const now = new Date().toISOString();
+  const profile = {
+    userId,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+
+  Object.keys(PROFILE_FIELDS).forEach(field => {
+    if (fields[field] !== undefined && fields[field] !== null) {
+      profile[field] = fields[field];
+    }
+  });
+  if (fields.consent) {
+    profile.consentUpdatedAt = now;
+  }
+
+  await getProfileStore().set(USER_PROFILES, userId, profile);
+  return profile;
+}
+
+// Merge updates into the user's profile, creating it if needed. Null values
+// remove a field; consent flags are merged with the ones already given.
+async function updateProfile(userId, updates = {}) {
+  const existing = await getProfile(userId);
+  const now = new Date().toISOString();
+
+  const profile = {
+    ...(existing || { userId, createdAt: now }),
+    userId,
+    updatedAt: now
+  };
+
+  Object.entries(updates).forEach(([field, value]) => {
+    if (value === null) {
+      delete profile[field];
+    } else if (field === 'consent') {
+      profile.consent = { ...(profile.consent || {}), ...value };
+      profile.consentUpdatedAt = now;
+    } else {
+      profile[field] = value;
+    }
+  });
+
+  await getProfileStore().set(USER_PROFILES, userId, profile);
+  return profile;
+}
+
+// Whether the user allows something covered by a consent flag
+const hasConsent = (profile, flag) => {
+  const consent = (profile && profile.consent) || {};
+  return consent[flag] !== undefined ? consent[flag] : DEFAULT_CONSENT[flag];
+};
+
+// Profile as a client sees it, with every consent flag filled in
+const describeProfile = (profile, userId) => ({
+  ...(profile || { userId }),
+  consent: Object.fromEntries(Object.keys(DEFAULT_CONSENT).map(flag => [flag, hasConsent(profile, flag)])),
+  exists: Boolean(profile)
+});
+
+// Remember the timezone and locale a client reports on the user's profile,
+// ignoring invalid values. A user without a profile isn't given one for this,
+// since having a profile is what makes them a known user. Returns the
+// profile, or null if there was none or nothing to store.
+async function recordTimeSettings(userId, { timezone, locale } = {}) {
+  const updates = {};
+  if (isValidTimezone(timezone)) {
+    updates.timezone = timezone;
+  }
+  if (isValidLocale(locale)) {
+    updates.locale = Intl.getCanonicalLocales(locale)[0];
+  }
+
+  if (Object.keys(updates).length === 0 || !(await getProfile(userId))) {
+    return null;
+  }
+  return updateProfile(userId, updates);
+}
+
+// The timezone and locale to use for a user: explicit values first, then the
+// profile, then the fallbacks (e.g. the caller's session, for users without a
+// profile), then DEFAULT_TIMEZONE / DEFAULT_LOCALE
+async function getTimeSettings(userId, overrides = {}, fallbacks = {}) {
+  const profile = userId ? await getProfile(userId) : null;
+
+  return {
+    timezone: [overrides.timezone, profile && profile.timezone, fallbacks.timezone].find(isValidTimezone) ||
+      getDefaultTimezone(),
+    locale: [overrides.locale, profile && profile.locale, fallbacks.locale].find(isValidLocale) || getDefaultLocale()
+  };
+}
+
+async function deleteProfile(userId) {
+  return getProfileStore().delete(USER_PROFILES, userId);
+}
+
+module.exports = {
+  getProfileStore,
+  setProfileStore,
+  getProfile,
+  replaceProfile,
+  updateProfile,
+  validateProfileFields,
+  describeProfile,
+  hasConsent,
+  recordTimeSettings,
+  getTimeSettings,
+  deleteProfile,
+  isValidTimezone,
+  isValidLocale,
+  MAX_DISPLAY_NAME_LENGTH
+};
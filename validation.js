@@ -0,0 +1,151 @@
+// Checks request input against JSON Schemas. Each route declares its path
+// parameters, query string and body once (see api-schemas.js); the same
+// schemas validate requests here and generate the OpenAPI document.
+//
+// Supported keywords: type, nullable, properties, required, items, minItems,
+// maxItems, enum, minimum, maximum, minLength, maxLength, pattern, default.
+// Unknown properties are allowed. Problems are reported per field, e.g.
+//   { "durationInSeconds": "must be an integer", "messages[0].role": "is required" }
+
+// Pattern for strings that must contain something other than whitespace
+const NON_BLANK = '\\S';
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  integer: value => Number.isInteger(value),
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  boolean: value => typeof value === 'boolean',
+  object: value => Boolean(value) && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value)
+};
+
+const TYPE_NAMES = {
+  string: 'a string',
+  integer: 'an integer',
+  number: 'a number',
+  boolean: 'a boolean',
+  object: 'an object',
+  array: 'an array'
+};
+
+// Query strings and path parameters arrive as strings; turn them into the
+// type the schema asks for when they parse cleanly
+const coerce = (schema, value) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  if ((schema.type === 'integer' || schema.type === 'number') && /^-?\d+(\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+};
+
+const joinPath = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : (path ? `${path}.${key}` : key));
+
+// Check one value; records problems in `errors` under its path and returns
+// the value with defaults filled in and, with options.coerce, strings converted
+const checkValue = (schema, value, path, errors, options) => {
+  const candidate = options.coerce ? coerce(schema, value) : value;
+
+  if (candidate === null && schema.nullable) {
+    return candidate;
+  }
+  if (schema.type && !TYPE_CHECKS[schema.type](candidate)) {
+    errors[path || 'body'] = `must be ${TYPE_NAMES[schema.type]}`;
+    return candidate;
+  }
+
+  if (schema.enum && !schema.enum.includes(candidate)) {
+    errors[path] = `must be one of: ${schema.enum.join(', ')}`;
+  } else if (schema.minimum !== undefined && candidate < schema.minimum) {
+    errors[path] = `must be at least ${schema.minimum}`;
+  } else if (schema.maximum !== undefined && candidate > schema.maximum) {
+    errors[path] = `must be at most ${schema.maximum}`;
+  } else if (schema.minLength !== undefined && candidate.length < schema.minLength) {
+    errors[path] = schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`;
+  } else if (schema.maxLength !== undefined && candidate.length > schema.maxLength) {
+    errors[path] = `must be at most ${schema.maxLength} characters`;
+  } else if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(candidate)) {
+    errors[path] = schema.pattern === NON_BLANK ? 'must not be blank' : `must match ${schema.pattern}`;
+  } else if (schema.minItems !== undefined && candidate.length < schema.minItems) {
+    errors[path] = `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`;
+  } else if (schema.maxItems !== undefined && candidate.length > schema.maxItems) {
+    errors[path] = `must have at most ${schema.maxItems} items`;
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    return candidate.map((item, index) => checkValue(schema.items, item, joinPath(path, index), errors, options));
+  }
+
+  if (schema.type === 'object' && schema.properties) {
+    const result = { ...candidate };
+    (schema.required || []).forEach(name => {
+      if (result[name] === undefined || result[name] === null) {
+        errors[joinPath(path, name)] = 'is required';
+      }
+    });
+    Object.entries(schema.properties).forEach(([name, property]) => {
+      if (result[name] === undefined) {
+        if (property.default !== undefined) {
+          result[name] = property.default;
+        }
+        return;
+      }
+      // A required field sent as null has already been reported as missing;
+      // anywhere else null is checked like any other value, so it's rejected
+      // unless the field is nullable
+      if (result[name] === null && (schema.required || []).includes(name)) {
+        return;
+      }
+      result[name] = checkValue(property, result[name], joinPath(path, name), errors, options);
+    });
+    return result;
+  }
+
+  return candidate;
+};
+
+// Validate a value against a schema; returns { value, errors } where errors
+// maps each failing field to what's wrong with it
+const validate = (schema, value, options = {}) => {
+  const errors = {};
+  const checked = checkValue(schema, value, '', errors, options);
+  return { value: checked, errors };
+};
+
+// The 400 every route sends for bad input, including problems a handler
+// finds itself (e.g. an unknown persona)
+const rejectRequest = (res, fields) => res.status(400).json({ error: 'Invalid request', fields });
+
+const REQUEST_PARTS = ['params', 'query', 'body'];
+
+// Express middleware checking a route's params, query and body schemas. Bad
+// requests get a 400 listing every failing field; good ones continue with
+// defaults applied and query/path values converted to their declared types.
+const validateRequest = (route) => (req, res, next) => {
+  const errors = {};
+
+  REQUEST_PARTS.forEach(part => {
+    if (!route[part]) {
+      return;
+    }
+    const result = validate(route[part], req[part] === undefined ? {} : req[part], { coerce: part !== 'body' });
+    Object.assign(errors, result.errors);
+    req[part] = result.value;
+  });
+
+  if (Object.keys(errors).length > 0) {
+    return rejectRequest(res, errors);
+  }
+  next();
+};
+
+module.exports = {
+  NON_BLANK,
+  validate,
+  validateRequest,
+  rejectRequest
+};